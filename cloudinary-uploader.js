@@ -1,50 +1,240 @@
-const cloudinary = require('cloudinary').v2;
+// Publishes images-queries/ (outputSubdir folders included, derivatives not)
+// to one or more destinations (see upload-destinations.js): Cloudinary
+// (default), S3-compatible storage or a local/network directory. Each file
+// carries its category, query, source URL, licence and author from the
+// query-downloader metadata.
+//
+// Usage: node cloudinary-uploader.js [--dest cloudinary,s3:bucket,local:<dir>]
+//                                    [--concurrency 4] [--retries 5] [--retry-failed] [--backfill]
+//        node cloudinary-uploader.js sync [--dest ...] [--apply] [--delete]
+//   --dest          comma-separated destinations, published one after another
+//   --retry-failed  upload only the files in checkpoint.failed
+//   --backfill      add tags/context to Cloudinary assets uploaded before they were set
+//   sync            compare remote objects with local files by MD5 etag and
+//                   print an upload/replace/delete/skip plan; --apply carries
+//                   it out, --delete also removes remote objects that have no
+//                   local file (e.g. after file-mover.js)
+// Uploads run in a bounded pool; rate limits (420/429) and server errors are
+// retried with exponential backoff, waiting for the reset time when the
+// destination reports one. Every destination has its own checkpoint, written
+// after every upload.
+
 const fs = require('fs');
 const path = require('path');
-
-// Configure Cloudinary
-cloudinary.config({
-	cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-	api_key: process.env.CLOUDINARY_API_KEY,
-	api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+const { listSavedImages } = require('./image-saver');
+const {
+	readMetadata,
+	recordPath,
+	writeFileAtomic,
+} = require('./metadata-store');
+const { runPool } = require('./pool');
+const {
+	createDestinations,
+	destinationNames,
+	md5File,
+} = require('./upload-destinations');
 
 const IMAGES_DIR = path.join(__dirname, 'images-queries');
-const CHECKPOINT_FILE = path.join(__dirname, '.cloudinary-upload.ckpt.json');
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60 * 1000;
+const MAX_RATE_LIMIT_WAIT_MS = 60 * 60 * 1000;
+
+function parseArgs() {
+	const args = process.argv.slice(2);
+	const options = {};
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === 'sync') {
+			options.command = 'sync';
+		} else if (args[i] === '--apply') {
+			options.apply = true;
+		} else if (args[i] === '--delete') {
+			options.delete = true;
+		} else if (args[i] === '--backfill') {
+			options.backfill = true;
+		} else if (args[i] === '--retry-failed') {
+			options.retryFailed = true;
+		} else if (args[i] === '--dest' && args[i + 1]) {
+			options.dest = args[i + 1];
+			i++;
+		} else if (args[i] === '--concurrency' && args[i + 1]) {
+			options.concurrency = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--retries' && args[i + 1]) {
+			options.retries = Number(args[i + 1]);
+			i++;
+		}
+	}
 
-// Load checkpoint if exists
-function loadCheckpoint() {
+	return options;
+}
+
+// Load checkpoint if exists.
+// { uploaded: [file], failed: [{ file, error }], publicIds: { file: remote ID } }
+function loadCheckpoint(file) {
+	let checkpoint = {};
 	try {
-		if (fs.existsSync(CHECKPOINT_FILE)) {
-			return JSON.parse(fs.readFileSync(CHECKPOINT_FILE, 'utf8'));
+		if (fs.existsSync(file)) {
+			checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
 		}
 	} catch (err) {
 		console.error('Error loading checkpoint:', err.message);
 	}
-	return { uploaded: [], failed: [] };
+	return {
+		...checkpoint,
+		uploaded: checkpoint.uploaded || [],
+		failed: checkpoint.failed || [],
+		publicIds: checkpoint.publicIds || {},
+	};
+}
+
+// Save checkpoint (temp file + rename, so a crash never leaves it half-written)
+function saveCheckpoint(file, checkpoint) {
+	writeFileAtomic(file, JSON.stringify(checkpoint, null, 2));
+}
+
+// ---- Rate limits and retries ----
+
+function isRateLimited(err) {
+	return err.http_code === 420 || err.http_code === 429;
+}
+
+function isRetryable(err) {
+	const code = err.http_code;
+	return (
+		isRateLimited(err) ||
+		code >= 500 ||
+		code === 499 || // request timeout
+		['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EBUSY'].includes(
+			err.code
+		)
+	);
+}
+
+// Reset time (ms) from the rate-limit info a destination returns, if any:
+// Cloudinary Admin API responses carry rate_limit_reset_at
+// (X-FeatureRateLimit-Reset); upload errors only state it in the message
+// ("Try again on <date>").
+function rateLimitReset(err) {
+	if (err.rate_limit_reset_at)
+		return new Date(err.rate_limit_reset_at).getTime();
+	const msg = String(err.message || '');
+	const on = msg.match(/try again (?:on|at) ([^.]+?UTC|[^.]+)/i);
+	if (on && Number.isFinite(Date.parse(on[1]))) return Date.parse(on[1]);
+	const inMatch = msg.match(
+		/(?:try again|retry) in (\d+) (second|minute|hour)/i
+	);
+	if (inMatch) {
+		const unit = { second: 1000, minute: 60000, hour: 3600000 }[
+			inMatch[2].toLowerCase()
+		];
+		return Date.now() + Number(inMatch[1]) * unit;
+	}
+	return null;
 }
 
-// Save checkpoint
-function saveCheckpoint(checkpoint) {
-	fs.writeFileSync(CHECKPOINT_FILE, JSON.stringify(checkpoint, null, 2));
+function retryDelay(err, attempt) {
+	const reset = isRateLimited(err) ? rateLimitReset(err) : null;
+	if (reset) {
+		return Math.min(MAX_RATE_LIMIT_WAIT_MS, Math.max(1000, reset - Date.now()));
+	}
+	// Exponential backoff with jitter
+	const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+	return Math.round(backoff * (0.5 + Math.random() / 2));
+}
+
+// retry(fn, label) for one destination: all of its workers wait once any of
+// them hits a rate limit, or once a response says the quota is used up
+function createRetry(retries) {
+	let pausedUntil = 0;
+
+	return async function retry(fn, label) {
+		for (let attempt = 0; ; attempt++) {
+			if (pausedUntil > Date.now()) await delay(pausedUntil - Date.now());
+			try {
+				const result = await fn();
+				if (result?.rate_limit_remaining === 0 && result.rate_limit_reset_at) {
+					pausedUntil = Math.max(
+						pausedUntil,
+						Math.min(
+							Date.now() + MAX_RATE_LIMIT_WAIT_MS,
+							new Date(result.rate_limit_reset_at).getTime()
+						)
+					);
+				}
+				return result;
+			} catch (err) {
+				if (!isRetryable(err) || attempt >= retries) throw err;
+				const wait = retryDelay(err, attempt);
+				if (isRateLimited(err)) {
+					pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+				}
+				console.log(
+					`  … ${label}: ${err.message} (HTTP ${
+						err.http_code || err.code || '?'
+					}), retry ${attempt + 1}/${retries} in ${Math.ceil(wait / 1000)}s`
+				);
+				await delay(wait);
+			}
+		}
+	};
 }
 
-// Upload a single image
-async function uploadImage(filePath, fileName) {
+function delay(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Files are named by their path in images-queries/ ("Mars_01.jpg",
+// "norse/Thor_01.jpg" for an outputSubdir), with / on every platform
+const fileName = (rel) => rel.split(path.sep).join('/');
+
+// Metadata records of the files in images-queries/, by file name
+function loadMetadataIndex() {
+	const index = new Map();
+	for (const m of readMetadata()) {
+		const rel = path.relative(
+			IMAGES_DIR,
+			path.resolve(__dirname, recordPath(m))
+		);
+		// moved away by file-mover.js
+		if (rel.startsWith('..') || path.isAbsolute(rel)) continue;
+		index.set(fileName(rel), m);
+	}
+	return index;
+}
+
+function listImageFiles() {
+	return listSavedImages(IMAGES_DIR).map(fileName);
+}
+
+// Upload a single image, retrying transient failures.
+// target: { remoteId (default: the destination's layout), replace }
+// With replace, an existing object with the same ID is overwritten.
+async function uploadImage(dest, retry, filePath, fileName, meta, target = {}) {
 	try {
-		const publicId = path.basename(fileName, path.extname(fileName));
+		const result = await retry(
+			() =>
+				dest.upload(filePath, {
+					file: fileName,
+					meta,
+					remoteId: target.remoteId,
+					replace: !!target.replace,
+				}),
+			fileName
+		);
 
-		const result = await cloudinary.uploader.upload(filePath, {
-			public_id: publicId,
-			folder: 'images-queries',
-			overwrite: false,
-			resource_type: 'image',
-		});
+		// Without replace, an object already stored under the ID is returned as is
+		if (result.existing && result.etag !== md5File(filePath)) {
+			return {
+				success: false,
+				error: `${result.remoteId} is taken by a different image (see sync)`,
+			};
+		}
 
 		return {
 			success: true,
-			url: result.secure_url,
-			publicId: result.public_id,
+			url: result.url,
+			publicId: result.remoteId,
 		};
 	} catch (err) {
 		return { success: false, error: err.message };
@@ -52,59 +242,80 @@ async function uploadImage(filePath, fileName) {
 }
 
 // Main upload function
-async function uploadAllImages() {
-	const checkpoint = loadCheckpoint();
+async function uploadAllImages(dest, options) {
+	const checkpoint = loadCheckpoint(dest.checkpointFile);
 	const uploadedSet = new Set(checkpoint.uploaded);
+	const metadata = loadMetadataIndex();
+	const concurrency = Math.max(1, options.concurrency || 4);
+	const retry = createRetry(Math.max(0, options.retries ?? 5));
 
-	// Get all image files
-	const files = fs.readdirSync(IMAGES_DIR).filter((file) => {
-		const ext = path.extname(file).toLowerCase();
-		return ['.jpg', '.jpeg', '.png', '.gif', '.webp'].includes(ext);
-	});
+	let toUpload;
+	if (options.retryFailed) {
+		// Replay the failed list; entries already uploaded since are just dropped
+		checkpoint.failed = checkpoint.failed.filter(
+			(f) => !uploadedSet.has(f.file)
+		);
+		const failedFiles = [...new Set(checkpoint.failed.map((f) => f.file))];
+		toUpload = failedFiles.filter((f) =>
+			fs.existsSync(path.join(IMAGES_DIR, f))
+		);
+		console.log(`Failed uploads to retry: ${failedFiles.length}`);
+		if (toUpload.length < failedFiles.length) {
+			console.log(
+				`Skipping ${
+					failedFiles.length - toUpload.length
+				} failed file(s) no longer in images-queries`
+			);
+		}
+	} else {
+		// Get all image files
+		const files = listImageFiles();
 
-	console.log(`Found ${files.length} images in images-queries folder`);
-	console.log(`Already uploaded: ${checkpoint.uploaded.length}`);
+		console.log(`Found ${files.length} images in images-queries folder`);
+		console.log(`Already uploaded: ${checkpoint.uploaded.length}`);
 
-	const toUpload = files.filter((f) => !uploadedSet.has(f));
-	console.log(`Images to upload: ${toUpload.length}`);
+		toUpload = files.filter((f) => !uploadedSet.has(f));
+		console.log(`Images to upload: ${toUpload.length}`);
+	}
 
 	if (toUpload.length === 0) {
 		console.log('All images already uploaded!');
+		saveCheckpoint(dest.checkpointFile, checkpoint);
 		return;
 	}
 
 	let successCount = 0;
 	let failCount = 0;
 
-	for (let i = 0; i < toUpload.length; i++) {
-		const file = toUpload[i];
-		const filePath = path.join(IMAGES_DIR, file);
+	await runPool(
+		toUpload.map((file, i) => ({ file, i })),
+		async ({ file, i }) => {
+			const filePath = path.join(IMAGES_DIR, file);
 
-		console.log(`[${i + 1}/${toUpload.length}] Uploading: ${file}`);
+			console.log(`[${i + 1}/${toUpload.length}] Uploading: ${file}`);
 
-		const result = await uploadImage(filePath, file);
+			const meta = metadata.get(file);
+			if (!meta)
+				console.log(`  (no metadata for ${file}: uploading without tags)`);
+			const result = await uploadImage(dest, retry, filePath, file, meta);
 
-		if (result.success) {
-			console.log(`  ✓ Uploaded: ${result.url}`);
-			checkpoint.uploaded.push(file);
-			successCount++;
-		} else {
-			console.log(`  ✗ Failed: ${result.error}`);
-			checkpoint.failed.push({ file, error: result.error });
-			failCount++;
-		}
-
-		// Save checkpoint every 10 uploads
-		if ((i + 1) % 10 === 0) {
-			saveCheckpoint(checkpoint);
-		}
+			// A file keeps at most one entry in the failed list
+			checkpoint.failed = checkpoint.failed.filter((f) => f.file !== file);
+			if (result.success) {
+				console.log(`  ✓ Uploaded: ${result.url}`);
+				checkpoint.uploaded.push(file);
+				checkpoint.publicIds[file] = result.publicId;
+				successCount++;
+			} else {
+				console.log(`  ✗ Failed: ${file}: ${result.error}`);
+				checkpoint.failed.push({ file, error: result.error });
+				failCount++;
+			}
 
-		// Small delay to avoid rate limiting
-		await new Promise((resolve) => setTimeout(resolve, 100));
-	}
-
-	// Final checkpoint save
-	saveCheckpoint(checkpoint);
+			saveCheckpoint(dest.checkpointFile, checkpoint);
+		},
+		concurrency
+	);
 
 	console.log('\n--- Upload Summary ---');
 	console.log(`Total uploaded: ${checkpoint.uploaded.length}`);
@@ -112,10 +323,245 @@ async function uploadAllImages() {
 	console.log(`Failed this run: ${failCount}`);
 
 	if (checkpoint.failed.length > 0) {
-		console.log('\nFailed uploads:');
+		console.log('\nFailed uploads (replay with --retry-failed):');
 		checkpoint.failed.forEach((f) => console.log(`  - ${f.file}: ${f.error}`));
 	}
 }
 
-// Run the upload
-uploadAllImages().catch(console.error);
+// Add tags/context to already-uploaded assets. Public IDs stay as they are
+// (moving an asset to its category folder would change its URL).
+async function backfillUploaded(dest, options) {
+	if (!dest.backfill) {
+		console.log(
+			`${dest.name}: nothing to backfill (details are written with each upload)`
+		);
+		return;
+	}
+	const checkpoint = loadCheckpoint(dest.checkpointFile);
+	const metadata = loadMetadataIndex();
+	const retry = createRetry(Math.max(0, options.retries ?? 5));
+
+	console.log(`Backfilling ${checkpoint.uploaded.length} uploaded asset(s)`);
+
+	let updated = 0;
+	let skipped = 0;
+	let failed = 0;
+	for (let i = 0; i < checkpoint.uploaded.length; i++) {
+		const file = checkpoint.uploaded[i];
+		const meta = metadata.get(file);
+		if (!meta) {
+			skipped++;
+			continue;
+		}
+		// Uploads from before publicIds were recorded use the oldest layout
+		const publicId =
+			checkpoint.publicIds[file] || dest.targets(file, meta).at(-1);
+
+		try {
+			await retry(() => dest.backfill(publicId, meta), publicId);
+			console.log(
+				`[${i + 1}/${checkpoint.uploaded.length}] ✓ Updated: ${publicId}`
+			);
+			updated++;
+		} catch (err) {
+			console.log(
+				`[${i + 1}/${checkpoint.uploaded.length}] ✗ ${publicId}: ${err.message}`
+			);
+			failed++;
+		}
+
+		await delay(100);
+	}
+
+	console.log('\n--- Backfill Summary ---');
+	console.log(`Updated: ${updated}`);
+	console.log(`Skipped (no metadata): ${skipped}`);
+	console.log(`Failed: ${failed}`);
+}
+
+// ---- Sync ----
+
+// Plan entries: { action: upload|replace|delete|skip, file?, publicId, reason }
+function buildSyncPlan(dest, files, remote, checkpoint, metadata) {
+	const plan = [];
+	const claimed = new Set();
+	const uploadedSet = new Set(checkpoint.uploaded);
+
+	for (const file of files) {
+		// Recorded ID, else the current layout, else older layouts
+		const candidates = [
+			checkpoint.publicIds[file],
+			...dest.targets(file, metadata.get(file)),
+		].filter(Boolean);
+		const publicId = candidates.find((id) => remote.has(id)) || candidates[0];
+		claimed.add(publicId);
+
+		const asset = remote.get(publicId);
+		if (!asset) {
+			plan.push({
+				action: 'upload',
+				file,
+				publicId,
+				reason: uploadedSet.has(file) ? 'deleted remotely' : 'new',
+			});
+		} else if (asset.etag !== md5File(path.join(IMAGES_DIR, file))) {
+			plan.push({
+				action: 'replace',
+				file,
+				publicId,
+				reason: 'content changed',
+			});
+		} else {
+			plan.push({ action: 'skip', file, publicId, reason: 'up to date' });
+		}
+	}
+
+	for (const publicId of remote.keys()) {
+		if (!claimed.has(publicId)) {
+			plan.push({ action: 'delete', publicId, reason: 'no local file' });
+		}
+	}
+	return plan;
+}
+
+async function syncImages(dest, options) {
+	const checkpoint = loadCheckpoint(dest.checkpointFile);
+	const metadata = loadMetadataIndex();
+	const concurrency = Math.max(1, options.concurrency || 4);
+	const retry = createRetry(Math.max(0, options.retries ?? 5));
+
+	const files = listImageFiles();
+	console.log(`Found ${files.length} images in images-queries folder`);
+	const remote = await dest.list(retry);
+	console.log(`Found ${remote.size} remote object(s) in ${dest.name}`);
+
+	const plan = buildSyncPlan(dest, files, remote, checkpoint, metadata);
+	const counts = { upload: 0, replace: 0, delete: 0, skip: 0 };
+	for (const step of plan) {
+		counts[step.action]++;
+		if (step.action !== 'skip') {
+			console.log(
+				`  ${step.action.padEnd(7)} ${step.publicId}${
+					step.file ? ` <- ${step.file}` : ''
+				} (${step.reason})`
+			);
+		}
+	}
+	console.log(
+		`\nPlan: ${counts.upload} upload, ${counts.replace} replace, ${counts.delete} delete remote, ${counts.skip} skip`
+	);
+
+	if (!options.apply) {
+		console.log('Dry run: nothing changed (run with --apply to sync)');
+		return;
+	}
+	if (counts.delete > 0 && !options.delete) {
+		console.log(
+			`Leaving ${counts.delete} remote-only object(s) in place (add --delete to remove them)`
+		);
+	}
+
+	let done = 0;
+	let failed = 0;
+	const uploadedSet = new Set(checkpoint.uploaded);
+	await runPool(
+		plan.filter(
+			(step) =>
+				step.action === 'upload' ||
+				step.action === 'replace' ||
+				(step.action === 'delete' && options.delete)
+		),
+		async (step) => {
+			if (step.action === 'delete') {
+				try {
+					await retry(() => dest.remove(step.publicId), step.publicId);
+					console.log(`  ✓ Deleted: ${step.publicId}`);
+					done++;
+				} catch (err) {
+					console.log(`  ✗ Delete failed: ${step.publicId}: ${err.message}`);
+					failed++;
+				}
+				return;
+			}
+
+			const result = await uploadImage(
+				dest,
+				retry,
+				path.join(IMAGES_DIR, step.file),
+				step.file,
+				metadata.get(step.file),
+				{ remoteId: step.publicId, replace: step.action === 'replace' }
+			);
+			checkpoint.failed = checkpoint.failed.filter((f) => f.file !== step.file);
+			if (result.success) {
+				console.log(`  ✓ ${step.action}: ${result.url}`);
+				if (!uploadedSet.has(step.file)) {
+					uploadedSet.add(step.file);
+					checkpoint.uploaded.push(step.file);
+				}
+				checkpoint.publicIds[step.file] = result.publicId;
+				done++;
+			} else {
+				console.log(`  ✗ Failed: ${step.file}: ${result.error}`);
+				checkpoint.failed.push({ file: step.file, error: result.error });
+				failed++;
+			}
+			saveCheckpoint(dest.checkpointFile, checkpoint);
+		},
+		concurrency
+	);
+
+	// Files found up to date remotely count as uploaded
+	for (const step of plan) {
+		if (step.action === 'skip' && !uploadedSet.has(step.file)) {
+			uploadedSet.add(step.file);
+			checkpoint.uploaded.push(step.file);
+			checkpoint.publicIds[step.file] = step.publicId;
+		}
+	}
+	saveCheckpoint(dest.checkpointFile, checkpoint);
+
+	console.log('\n--- Sync Summary ---');
+	console.log(`Applied: ${done}`);
+	console.log(`Failed: ${failed}`);
+}
+
+async function main() {
+	const options = parseArgs();
+
+	let destinations;
+	try {
+		destinations = createDestinations(options.dest);
+	} catch (e) {
+		console.error(`Error: ${e.message}`);
+		console.log(`Available destinations: ${destinationNames().join(', ')}`);
+		process.exit(1);
+	}
+
+	const run =
+		options.command === 'sync'
+			? syncImages
+			: options.backfill
+			? backfillUploaded
+			: uploadAllImages;
+
+	// One destination after another, each with its own checkpoint
+	for (const dest of destinations) {
+		if (destinations.length > 1) console.log(`\n=== ${dest.name} ===`);
+		try {
+			await dest.init();
+			await run(dest, options);
+		} catch (err) {
+			console.error(`${dest.name}: ${err.message}`);
+			process.exitCode = 1;
+		} finally {
+			await dest.close().catch(() => {});
+		}
+	}
+}
+
+if (require.main === module) {
+	main().catch(console.error);
+}
+
+module.exports = { main };
@@ -0,0 +1,74 @@
+// node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A copy of the scripts in a temp folder, so a run only touches its files
+const tmpProject = () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudinary-uploader-'));
+	for (const f of fs.readdirSync(__dirname)) {
+		if (f.endsWith('.js') && !f.endsWith('.test.js')) {
+			fs.copyFileSync(path.join(__dirname, f), path.join(dir, f));
+		}
+	}
+	fs.symlinkSync(
+		path.join(__dirname, 'node_modules'),
+		path.join(dir, 'node_modules'),
+		'dir'
+	);
+	return dir;
+};
+
+const write = (file, data) => {
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, data);
+};
+
+test('uploads files in outputSubdir folders with their metadata', () => {
+	const dir = tmpProject();
+	write(path.join(dir, 'images-queries/Mars_01.jpg'), 'mars');
+	write(path.join(dir, 'images-queries/norse/Thor_01.jpg'), 'thor');
+	write(
+		path.join(dir, 'images-queries/norse/derivatives/thumb/Thor_01.jpg'),
+		'thumb'
+	);
+	write(
+		path.join(dir, 'image-metadata.ndjson'),
+		[
+			{ filename: 'Mars_01.jpg', query: 'Mars', category: 'planets' },
+			{
+				filename: 'Thor_01.jpg',
+				path: 'images-queries/norse/Thor_01.jpg',
+				query: 'Thor',
+				category: 'myth',
+			},
+		]
+			.map((r) => JSON.stringify(r) + '\n')
+			.join('')
+	);
+
+	execFileSync(
+		process.execPath,
+		['cloudinary-uploader.js', '--dest', 'local:published'],
+		{ cwd: dir, stdio: 'pipe' }
+	);
+
+	const published = [];
+	const walk = (sub) => {
+		for (const d of fs.readdirSync(path.join(dir, 'published', sub), {
+			withFileTypes: true,
+		})) {
+			const rel = sub ? `${sub}/${d.name}` : d.name;
+			if (d.isDirectory()) walk(rel);
+			else published.push(rel);
+		}
+	};
+	walk('');
+	assert.deepStrictEqual(published.sort(), [
+		'myth/norse/Thor_01.jpg',
+		'planets/Mars_01.jpg',
+	]);
+});
@@ -1,8 +1,11 @@
 #!/usr/bin/env node
-// Wikidata -> Commons paintings downloader (1500–present), Node 18+
-// - Queries Wikidata SPARQL for paintings with P571 (inception) year
-// - Gets Commons file titles from P18
+// Wikidata -> Commons image downloader, Node 18+
+// - Queries Wikidata SPARQL for items of the classes in a named profile
+//   (see commons-profiles.json; pick one with --profile, default "science")
+// - Filters on the profile's date property (P571 inception by default)
+// - Gets Commons file titles from the profile's image property (P18 by default)
 // - Checks license via Commons imageinfo extmetadata
+// - Records item QID/label, creator, inception and Commons credit fields per file
 // - Downloads originals via Special:FilePath, dedupes by SHA256, validates
 
 import { createHash } from 'node:crypto';
@@ -16,10 +19,20 @@ import {
 	unlink,
 	writeFile,
 } from 'node:fs/promises';
-import { join } from 'node:path';
+import { dirname, extname, join, relative } from 'node:path';
 import { Readable, Transform } from 'node:stream';
 import { pipeline } from 'node:stream/promises';
+import { fileURLToPath } from 'node:url';
 import { setTimeout as sleep } from 'node:timers/promises';
+import {
+	DEFAULT_MAX_DISTANCE,
+	createPhashIndex,
+	dHash,
+} from './perceptual-hash.js';
+import { withLock } from './metadata-store.js';
+import { createQuota, runPool } from './pool.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const args = process.argv.slice(2);
 function flag(name, d) {
@@ -28,6 +41,12 @@ function flag(name, d) {
 	const v = args[i + 1];
 	return !v || v.startsWith('--') ? true : v;
 }
+// On/off switches: --name, --name true|false, --no-name
+function bool(name, d) {
+	if (args.includes(`--no-${name}`)) return false;
+	const v = flag(name, d);
+	return v === true || /^(true|1|yes|on)$/i.test(String(v));
+}
 
 const OUT_DIR = flag('out', 'images-commons');
 // const LIMIT = Number(flag('limit', '200')); // stop after N saves (default 200)
@@ -44,9 +63,16 @@ const CONCURRENCY = Math.max(1, Number(flag('concurrency', '2')));
 const CHECKPOINT = flag('checkpoint', '.commons.ckpt.json');
 const NDJSON = flag('ndjson', 'commons-metadata.ndjson');
 const HASHIDX = flag('hashindex', '.commons-hash-index.ndjson');
-const DEBUG = !!flag('debug', true);
-const NO_NDJSON = !!flag('noNdjson', true);
-const NO_LICENSE_FILTER = !!flag('noLicenseFilter', true);
+// Perceptual-hash near-duplicates (shared index with query-downloader.js)
+const PHASHIDX = String(flag('phashIndex', '.phash-index.ndjson'));
+const PHASH_DISTANCE = Math.max(
+	0,
+	Number(flag('phashDistance', String(DEFAULT_MAX_DISTANCE)))
+);
+const PHASH_MODE = String(flag('phashMode', 'reject')); // reject | report | off
+const DEBUG = bool('debug', true);
+const NO_NDJSON = bool('noNdjson', true);
+const NO_LICENSE_FILTER = bool('noLicenseFilter', true);
 const USER_AGENT = String(flag('ua', 'commons-downloader/1.3'));
 // Allowed licenses (comma-separated tokens). Defaults to PD and CC0 only.
 // Accepts tokens: PD, CC0, CC-BY, CC-BY-SA, ANY-CC
@@ -55,6 +81,13 @@ const LICENSES = String(flag('licenses', 'ANY-CC'))
 	.map((s) => s.trim().toUpperCase())
 	.filter(Boolean);
 
+// Wikidata class profile
+const PROFILE = String(flag('profile', 'science'));
+// The default sits next to this script, so it is found from any directory
+const PROFILES_FILE = String(
+	flag('profiles', join(__dirname, 'commons-profiles.json'))
+);
+
 // Year range
 const YEAR_FROM = Number(flag('from', '1800'));
 const YEAR_TO = Number(flag('to', '2100'));
@@ -74,8 +107,11 @@ async function exists(p) {
 		return false;
 	}
 }
+// under the file's lock, since file-mover.js may be rewriting it
 async function appendNDJSON(path, obj) {
-	await writeFile(path, JSON.stringify(obj) + '\n', { flag: 'a' });
+	await withLock(path, () =>
+		writeFile(path, JSON.stringify(obj) + '\n', { flag: 'a' })
+	);
 }
 async function saveJSON(path, obj) {
 	await writeFile(path, JSON.stringify(obj, null, 2));
@@ -88,6 +124,22 @@ async function loadJSON(path) {
 		return null;
 	}
 }
+// extmetadata values are HTML fragments; keep plain text for captions/credits
+function plainText(html) {
+	if (html == null) return null;
+	const txt = String(html)
+		.replace(/<br\s*\/?>/gi, ' ')
+		.replace(/<[^>]*>/g, '')
+		.replace(/&nbsp;/g, ' ')
+		.replace(/&quot;/g, '"')
+		.replace(/&#0*39;/g, "'")
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&amp;/g, '&')
+		.replace(/\s+/g, ' ')
+		.trim();
+	return txt || null;
+}
 function sanitize(s) {
 	return String(s || '')
 		.replace(/[<>:\"/\\|?*\x00-\x1F]/g, '_')
@@ -96,8 +148,63 @@ function sanitize(s) {
 		.slice(0, 180);
 }
 
+// Profiles: { name: { include, exclude, subclasses, dateProperty, imageProperty } }
+// include/exclude are { "Q42603": "fossil", ... } maps or plain Q-id arrays.
+async function loadProfile(file, name) {
+	if (!(await exists(file)))
+		throw new Error(`Profiles file not found: ${file}`);
+	const txt = await readFile(file, 'utf8');
+	let all;
+	if (['.yaml', '.yml'].includes(extname(file).toLowerCase())) {
+		let yaml;
+		try {
+			yaml = await import('yaml');
+		} catch {
+			throw new Error(
+				`Reading ${file} needs the yaml package: npm install yaml`
+			);
+		}
+		all = yaml.parse(txt);
+	} else {
+		all = JSON.parse(txt);
+	}
+	const p = all?.[name];
+	if (!p)
+		throw new Error(
+			`Unknown profile "${name}" (available: ${Object.keys(all || {}).join(
+				', '
+			)})`
+		);
+	const ids = (v) =>
+		Array.isArray(v)
+			? v.map((id) => [String(id), ''])
+			: Object.entries(v || {}).map(([id, label]) => [id, String(label || '')]);
+	const profile = {
+		name,
+		include: ids(p.include),
+		exclude: ids(p.exclude),
+		subclasses: p.subclasses !== false,
+		dateProperty: String(p.dateProperty || 'P571'),
+		imageProperty: String(p.imageProperty || 'P18'),
+	};
+	for (const [id] of [...profile.include, ...profile.exclude]) {
+		if (!/^Q\d+$/.test(id))
+			throw new Error(`Profile "${name}": bad Q-id ${JSON.stringify(id)}`);
+	}
+	for (const prop of [profile.dateProperty, profile.imageProperty]) {
+		if (!/^P\d+$/.test(prop))
+			throw new Error(
+				`Profile "${name}": bad property ${JSON.stringify(prop)}`
+			);
+	}
+	if (!profile.include.length)
+		throw new Error(`Profile "${name}" has no included classes`);
+	return profile;
+}
+
 // hash + validate
 const seen = new Map();
+let phashIndex = null;
 async function loadHashIndex() {
 	if (!(await exists(HASHIDX))) return;
 	const txt = await readFile(HASHIDX, 'utf8');
@@ -211,81 +318,93 @@ async function downloadValidated(url, destBase) {
 		};
 	}
 
+	// near-duplicate check on the perceptual hash (other sizes/crops of the same picture)
+	let phash = null;
+	if (phashIndex) {
+		phash = await dHash(tmp).catch(() => null);
+		const near = phash && phashIndex.findNear(phash, PHASH_DISTANCE);
+		if (near && PHASH_MODE === 'reject') {
+			await unlink(tmp);
+			return {
+				skipped: true,
+				duplicateOf: near.path,
+				distance: near.distance,
+				sha256: sha,
+				bytes: st.size,
+			};
+		}
+		if (near)
+			console.warn(
+				`near-duplicate of ${near.path} (distance ${near.distance}): ${url}`
+			);
+	}
+
 	const final = destBase + extFor(kind || 'jpg');
 	await rename(tmp, final);
-	await writeFile(
-		HASHIDX,
-		JSON.stringify({ sha256: sha, path: final, bytes: st.size }) + '\n',
-		{ flag: 'a' }
-	);
-	return { skipped: false, path: final, sha256: sha, bytes: st.size };
+	// stored relative to this script, like the other tools' paths, so the
+	// records hold wherever the downloader was run from
+	const stored = relative(__dirname, final);
+	if (phash) await phashIndex.add({ phash, path: stored });
+	await appendNDJSON(HASHIDX, { sha256: sha, path: stored, bytes: st.size });
+	return { skipped: false, path: stored, sha256: sha, bytes: st.size, phash };
 }
 
-async function fetchWikidataBatchPaged({
-	yearFrom,
-	yearTo,
-	limit = 100,
-	offset = 0,
-}) {
-	// 	const query = `
-	// SELECT ?item ?itemLabel ?creatorLabel ?year ?file WHERE {
-	//   ?item wdt:P31 wd:Q3305213 .            # instance of painting
-	//   ?item wdt:P18 ?file .                   # has image (Commons file)
-	//   OPTIONAL { ?item wdt:P571 ?date . BIND(YEAR(?date) AS ?year) }
-	//   OPTIONAL { ?item wdt:P170 ?creator . }  # creator
-	//   FILTER(bound(?year) && ?year >= ${yearFrom} && ?year <= ${yearTo})
-	//   SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
-	// }
-	// ORDER BY ?item
-	// LIMIT ${limit}
-	// OFFSET ${offset}
-	// `.trim();
-
-	const query = `
+function buildSparql(profile, { yearFrom, yearTo, limit, offset }) {
+	const classPath = profile.subclasses ? 'wdt:P31/wdt:P279*' : 'wdt:P31';
+	const comment = (label) => (label ? `  # ${label}` : '');
+	const values = profile.include
+		.map(([id, label]) => `\twd:${id}${comment(label)}`)
+		.join('\n');
+	const minus = profile.exclude
+		.map(
+			([id, label]) =>
+				`  MINUS { ?item ${classPath} wd:${id} }${comment(label)}`
+		)
+		.join('\n');
+
+	return `
 PREFIX wd:  <http://www.wikidata.org/entity/>
 PREFIX wdt: <http://www.wikidata.org/prop/direct/>
 PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
-SELECT ?file WHERE {
-  ?item wdt:P571 ?date ;
-		wdt:P18  ?file ;
-		wdt:P31/wdt:P279* ?type .
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+PREFIX wikibase: <http://wikiba.se/ontology#>
+PREFIX bd: <http://www.bigdata.com/rdf#>
+SELECT ?item ?file (SAMPLE(?itemLabel) AS ?label) (MIN(?date) AS ?inception)
+       (GROUP_CONCAT(DISTINCT ?creatorLabel; separator="; ") AS ?creators)
+WHERE {
+  ?item wdt:${profile.dateProperty} ?date ;
+		wdt:${profile.imageProperty} ?file ;
+		${classPath} ?type .
   FILTER(
 	?date >= "${yearFrom}-01-01T00:00:00Z"^^xsd:dateTime &&
 	?date <= "${yearTo}-12-31T23:59:59Z"^^xsd:dateTime
   )
 
   VALUES ?type {
-	wd:Q1183543  # scientific instrument
-	wd:Q11019    # machine
-	wd:Q39546    # tool
-	wd:Q68       # computer
-	wd:Q338      # telescope
-	wd:Q11009    # microscope
-	wd:Q42889    # vehicle
-	wd:Q7397     # software
-	wd:Q869     # mineral
-    wd:Q42603   # fossil
-    wd:Q8063    # rock
-    wd:Q756     # plant
-    wd:Q729     # animal
-    wd:Q677     # microorganism
-	wd:Q16521   # anatomical structure
-	wd:Q1075    # chemical compound
-	wd:Q11173   # chemical element
-	wd:Q11423   # alloy
-	wd:Q11436   # chemical mixture
-	wd:Q12136   # polymer
+${values}
 }
-
-  # Exclude artworks and buildings
-  MINUS { ?item wdt:P31/wdt:P279* wd:Q3305213 } # painting
-  MINUS { ?item wdt:P31/wdt:P279* wd:Q838948 }  # work of art
-  MINUS { ?item wdt:P31/wdt:P279* wd:Q811979 }  # architectural structure
-  MINUS { ?item wdt:P31/wdt:P279* wd:Q24398318 } # religious building
+${minus ? `\n  # Exclusions (profile "${profile.name}")\n${minus}\n` : ''}
+  OPTIONAL { ?item wdt:P170 ?creator . }
+  SERVICE wikibase:label {
+	bd:serviceParam wikibase:language "en".
+	?item rdfs:label ?itemLabel .
+	?creator rdfs:label ?creatorLabel .
+  }
 }
+GROUP BY ?item ?file
 LIMIT ${limit}
 OFFSET ${offset}
 `.trim();
+}
+
+async function fetchWikidataBatchPaged({
+	profile,
+	yearFrom,
+	yearTo,
+	limit = 100,
+	offset = 0,
+}) {
+	const query = buildSparql(profile, { yearFrom, yearTo, limit, offset });
 
 	const body = new URLSearchParams({ query, format: 'json' });
 	const url = WD_SPARQL;
@@ -314,8 +433,16 @@ OFFSET ${offset}
 				const js = await res.json();
 				const rows = js?.results?.bindings || [];
 				return rows
-					.map((r) => r.file?.value)
-					.filter((v) => typeof v === 'string' && v.length > 0);
+					.filter(
+						(r) => typeof r.file?.value === 'string' && r.file.value.length > 0
+					)
+					.map((r) => ({
+						file: r.file.value,
+						qid: r.item?.value?.split('/').pop() || null,
+						itemLabel: r.label?.value || null,
+						creator: r.creators?.value || null,
+						inception: r.inception?.value || null,
+					}));
 			}
 			if (!needsRetry(res.status)) throw new Error(`WD HTTP ${res.status}`);
 			if (DEBUG) {
@@ -432,8 +559,17 @@ async function fetchCommonsInfoChunk(titles) {
 		if (LICENSES.includes('ANY-CC') && anycc) isOpen = true;
 		out.set(t, {
 			url: ii.url,
+			descriptionUrl: ii.descriptionurl,
 			mime: ii.mime,
 			licenseShort: short,
+			licenseUrl: meta?.LicenseUrl?.value || null,
+			attributionRequired: meta?.AttributionRequired
+				? String(meta.AttributionRequired.value).toLowerCase() === 'true'
+				: null,
+			artist: plainText(meta?.Artist?.value),
+			description: plainText(meta?.ImageDescription?.value),
+			dateOriginal: plainText(meta?.DateTimeOriginal?.value),
+			credit: plainText(meta?.Credit?.value),
 			isOpen,
 		});
 	}
@@ -474,65 +610,33 @@ function filePathUrl(fileTitle) {
 	return `https://commons.wikimedia.org/wiki/Special:FilePath/${title}?download`;
 }
 
-async function runPool(items, worker, conc) {
-	const q = [...items];
-	const running = new Set();
-	while (q.length > 0 || running.size > 0) {
-		while (q.length > 0 && running.size < conc) {
-			const it = q.shift();
-			const p = (async () => {
-				await worker(it);
-			})().finally(() => running.delete(p));
-			running.add(p);
-		}
-		if (running.size > 0) await Promise.race(running);
-	}
-}
-
-function createQuota(limit, initialSaved = 0) {
-	if (!isFinite(limit) || limit <= 0) {
-		return {
-			take() {
-				// unlimited: always allow; return a no-op token
-				return { commit() {}, release() {} };
-			},
-			left() {
-				return Infinity;
-			},
-		};
-	}
-	let remaining = Math.max(0, limit - (initialSaved || 0));
-	return {
-		take() {
-			if (remaining <= 0) return null;
-			remaining--;
-			let committed = false;
-			return {
-				commit() {
-					committed = true;
-				},
-				release() {
-					if (!committed) remaining++;
-				},
-			};
-		},
-		left() {
-			return remaining;
-		},
-	};
-}
-
-async function main() {
+async function main(profile) {
+	console.log(
+		`Profile "${profile.name}": ${profile.include.length} class(es), ${profile.exclude.length} exclusion(s), date ${profile.dateProperty}, image ${profile.imageProperty}`
+	);
 	await ensureDir(OUT_DIR);
 	await loadHashIndex();
+	if (PHASH_MODE !== 'off' && !phashIndex)
+		phashIndex = createPhashIndex(PHASHIDX);
 
-	const ck = (await loadJSON(CHECKPOINT)) || {
+	const fresh = {
+		profile: profile.name,
 		sliceFrom: YEAR_FROM,
 		sliceTo: Math.min(YEAR_FROM + 24, YEAR_TO),
 		offset: 0,
 		saved: 0,
 		done: false,
 	};
+	let ck = (await loadJSON(CHECKPOINT)) || fresh;
+	// Checkpoints written before profiles existed belong to "science"
+	if ((ck.profile || 'science') !== profile.name) {
+		console.warn(
+			`Checkpoint ${CHECKPOINT} is for profile "${
+				ck.profile || 'science'
+			}", starting "${profile.name}" from the beginning`
+		);
+		ck = fresh;
+	}
 	let { sliceFrom, sliceTo, offset, saved, done } = ck;
 
 	// const HARD = LIMIT > 0 ? LIMIT : Infinity;
@@ -562,6 +666,7 @@ async function main() {
 			for (let attempt = 0; attempt <= pageRetries; attempt++) {
 				try {
 					rows = await fetchWikidataBatchPaged({
+						profile,
 						yearFrom: a,
 						yearTo: b,
 						limit: pageSize,
@@ -594,15 +699,15 @@ async function main() {
 			if (!rows.length) break;
 
 			// build titles to license-check on Commons
-			const titles = [];
-			for (const f of rows) {
-				const title = commonsTitleFromUrl(f);
+			const items = [];
+			for (const row of rows) {
+				const title = commonsTitleFromUrl(row.file);
 				if (!title) continue;
-				titles.push(title);
+				items.push({ ...row, title });
 			}
-			if (titles.length) {
+			if (items.length) {
 				const counter = { inc: () => (saved += 1), get: () => saved };
-				await processBatch(titles, counter, HARD, quota);
+				await processBatch(items, counter, HARD, quota);
 			}
 
 			offset += pageSize;
@@ -614,6 +719,7 @@ async function main() {
 				await sleep(WD_DELAY_MS);
 			}
 			await saveJSON(CHECKPOINT, {
+				profile: profile.name,
 				sliceFrom: a,
 				sliceTo: b,
 				offset,
@@ -626,6 +732,7 @@ async function main() {
 		// next slice
 		offset = 0;
 		await saveJSON(CHECKPOINT, {
+			profile: profile.name,
 			sliceFrom: slices[si + 1]?.[0] ?? a,
 			sliceTo: slices[si + 1]?.[1] ?? b,
 			offset,
@@ -638,6 +745,7 @@ async function main() {
 	// Load the latest checkpoint on disk (which was updated during the run)
 	// and just mark it done while preserving its sliceFrom/sliceTo/offset.
 	const latestCk = (await loadJSON(CHECKPOINT)) || {
+		profile: profile.name,
 		sliceFrom,
 		sliceTo,
 		offset,
@@ -654,16 +762,27 @@ async function main() {
 	console.log(summary);
 }
 
-async function processBatch(titles, counter, HARD, quota) {
+async function processBatch(items, counter, HARD, quota) {
+	const titles = items.map((it) => it.title);
 	// 1) license check on Commons (retry this batch a few times if it fails transiently)
+	// The same lookup supplies the credit fields, so it also runs when only metadata is wanted.
 	let info;
-	if (!NO_LICENSE_FILTER) {
+	if (!NO_LICENSE_FILTER || !NO_NDJSON) {
 		for (let attempt = 1; attempt <= 3; attempt++) {
 			try {
 				info = await fetchCommonsInfo(titles);
 				break;
 			} catch (e) {
-				if (attempt >= 3) throw e;
+				if (attempt >= 3) {
+					if (!NO_LICENSE_FILTER) throw e;
+					// metadata only: save the images without credit fields
+					console.warn(
+						`Commons metadata lookup failed, saving without it: ${
+							e.message || e
+						}`
+					);
+					break;
+				}
 				const backoff =
 					1000 * attempt * attempt + Math.floor(Math.random() * 300);
 				if (DEBUG)
@@ -676,27 +795,32 @@ async function processBatch(titles, counter, HARD, quota) {
 	}
 	// 2) keep only PD/CC0
 	const todo = [];
-	for (const title of titles) {
+	for (const item of items) {
+		const { title } = item;
 		if (NO_LICENSE_FILTER) {
 			todo.push({
 				title,
-				meta: { licenseShort: 'UNKNOWN', url: filePathUrl(title) },
+				wd: item,
+				meta: info?.get(title) || {
+					licenseShort: 'UNKNOWN',
+					url: filePathUrl(title),
+				},
 			});
 		} else {
 			const meta = info.get(title);
 			if (!meta) continue;
 			if (!meta.isOpen) continue;
-			todo.push({ title, meta });
+			todo.push({ title, wd: item, meta });
 		}
 	}
 	// 3) download in a small pool
 	await runPool(
 		todo,
-		async ({ title, meta }) => {
+		async ({ title, wd, meta }) => {
 			// if (LIMIT > 0 && counter.get() >= HARD) return;
 			// Acquire a quota token to strictly enforce global limit with concurrency
-			const token = quota.take();
-			if (!token) return; // out of quota, skip
+			const token = await quota.acquire();
+			if (!token) return; // quota used up by saved images
 			const url = filePathUrl(title);
 			// Build filename from Commons title only
 			const baseTitle = title.replace(/^File:/, '');
@@ -709,9 +833,22 @@ async function processBatch(titles, counter, HARD, quota) {
 					if (!NO_NDJSON) {
 						await appendNDJSON(NDJSON, {
 							commons_title: title,
-							license: meta.licenseShort,
+							path: res.path,
+							license: meta.licenseShort || 'UNKNOWN',
+							license_url: meta.licenseUrl ?? null,
+							attribution_required: meta.attributionRequired ?? null,
 							source_url: meta.url,
+							description_url: meta.descriptionUrl ?? null,
+							wikidata_qid: wd.qid,
+							item_label: wd.itemLabel,
+							creator: wd.creator,
+							inception: wd.inception,
+							artist: meta.artist ?? null,
+							description: meta.description ?? null,
+							date_original: meta.dateOriginal ?? null,
+							credit: meta.credit ?? null,
 							sha256: res.sha256,
+							phash: res.phash ?? null,
 							bytes: res.bytes,
 						});
 					}
@@ -723,7 +860,14 @@ async function processBatch(titles, counter, HARD, quota) {
 							`${new Date().toISOString()} : Saved ${total} images so far…`
 						);
 				} else if (DEBUG) {
-					console.warn('duplicate, skipped', title, '->', res.duplicateOf);
+					console.warn(
+						res.distance != null
+							? 'near-duplicate, skipped'
+							: 'duplicate, skipped',
+						title,
+						'->',
+						res.duplicateOf
+					);
 					token.release();
 				}
 			} catch (e) {
@@ -737,11 +881,20 @@ async function processBatch(titles, counter, HARD, quota) {
 }
 
 async function startLoop() {
+	// A bad profile is a config error: fail once instead of restarting forever
+	let profile;
+	try {
+		profile = await loadProfile(PROFILES_FILE, PROFILE);
+	} catch (e) {
+		console.error(`Error: ${e.message || e}`);
+		process.exitCode = 1;
+		return;
+	}
 	// Auto-restart the run on unhandled errors; resume from checkpoint
 	let attempt = 0;
 	for (;;) {
 		try {
-			await main();
+			await main(profile);
 			break; // finished successfully
 		} catch (e) {
 			attempt++;
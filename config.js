@@ -0,0 +1,634 @@
+// Shared configuration for the met-downloader CLI (met-downloader.js)
+// Every subcommand lists its options once in COMMANDS. Values are resolved in
+// this order, later ones winning:
+//   1. met-downloader.config.json (or --config <file>, or MET_CONFIG): top-level
+//      keys apply to every subcommand that has the option, a section named
+//      after the subcommand overrides them, e.g.
+//        { "concurrency": 2, "query": { "categories": ["planets"], "top-up": true } }
+//   2. environment: MET_<OPTION>, e.g. MET_PER_HOST=4
+//   3. flags: --per-host 4 or --per-host=4; booleans take --top-up,
+//      --top-up=false and --no-top-up
+// The resolved values are passed to the subcommand's script as its own flags,
+// so every script still runs on its own with the same options.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'met-downloader.config.json');
+const ENV_PREFIX = 'MET_';
+
+// Option spec: { type: string|number|boolean|list, help, default (for --help
+// only; the script owns the real default), choices, flag (script flag when it
+// differs from --<name>), invert (boolean passed as flag when false), valued
+// (boolean passed as "<flag> true|false" so either value overrides the
+// script's default) }
+
+// DDG image filters, shared by query and ddg; values are checked (case-
+// insensitively) by search-providers.js
+const SEARCH_FILTER_OPTIONS = {
+	size: { type: 'string', help: 'Small, Medium, Large or Wallpaper' },
+	color: {
+		type: 'string',
+		help: 'color, Monochrome or a colour name (Red, Blue, ...)',
+	},
+	type: {
+		type: 'string',
+		help: 'photo, clipart, gif, transparent or line',
+	},
+	layout: { type: 'string', help: 'Square, Tall or Wide' },
+	license: {
+		type: 'string',
+		help: 'Any, Public, Share, ShareCommercially, Modify or ModifyCommercially',
+	},
+	'safe-search': { type: 'string', help: 'strict, moderate or off' },
+	'filters-file': {
+		type: 'string',
+		default: 'search-filters.json',
+		help: 'Filters per category',
+	},
+};
+
+const COMMANDS = {
+	query: {
+		script: 'query-downloader.js',
+		summary: 'Download images for the queries in queries.json',
+		options: {
+			categories: {
+				type: 'list',
+				help: 'Categories to process (default: all)',
+			},
+			provider: {
+				type: 'string',
+				default: 'ddg-json,duckduckgo',
+				help: 'Search provider(s), comma-separated (see search-providers.js)',
+			},
+			'provider-url': {
+				type: 'string',
+				help: 'Base URL for the provider, or name=url pairs for several',
+			},
+			concurrency: { type: 'number', default: 2, help: 'Queries at a time' },
+			'download-concurrency': {
+				type: 'number',
+				default: 8,
+				help: 'Image downloads at a time',
+			},
+			'per-host': {
+				type: 'number',
+				default: 2,
+				help: 'Downloads at a time per host',
+			},
+			'host-interval': {
+				type: 'number',
+				default: 250,
+				help: 'Minimum ms between requests to one host',
+			},
+			format: {
+				type: 'string',
+				default: 'jpeg',
+				choices: ['jpeg', 'jpg', 'webp', 'avif', 'png', 'original'],
+				help: 'Output format',
+			},
+			'max-bytes': {
+				type: 'string',
+				default: '800KB',
+				help: 'Size budget per image',
+			},
+			'max-edge': {
+				type: 'number',
+				default: 0,
+				help: 'Longest edge in px (0 = keep)',
+			},
+			derivatives: {
+				type: 'string',
+				help: 'Extra sizes, e.g. thumb:320,medium:1024',
+			},
+			'min-width': { type: 'number', default: 200, help: 'Minimum width' },
+			'min-height': { type: 'number', default: 200, help: 'Minimum height' },
+			'min-aspect': {
+				type: 'number',
+				default: 0.25,
+				help: 'Minimum width / height',
+			},
+			'max-aspect': {
+				type: 'number',
+				default: 4,
+				help: 'Maximum width / height',
+			},
+			'min-entropy': {
+				type: 'number',
+				default: 2,
+				help: 'Minimum greyscale entropy (bits)',
+			},
+			'min-stddev': {
+				type: 'number',
+				default: 5,
+				help: 'Minimum per-channel standard deviation',
+			},
+			'placeholder-hashes': {
+				type: 'string',
+				default: 'placeholder-hashes.json',
+				help: 'Known placeholder images',
+			},
+			'phash-distance': {
+				type: 'number',
+				default: 6,
+				help: 'Near-duplicate distance',
+			},
+			'phash-mode': {
+				type: 'string',
+				default: 'reject',
+				choices: ['reject', 'report', 'off'],
+				help: 'Near-duplicate handling',
+			},
+			'phash-scope': {
+				type: 'string',
+				default: 'collection',
+				choices: ['query', 'collection'],
+				help: 'Near-duplicate comparison scope',
+			},
+			'top-up': {
+				type: 'boolean',
+				default: false,
+				help: 'Fetch the missing images for under-filled queries',
+			},
+			...SEARCH_FILTER_OPTIONS,
+		},
+	},
+	ddg: {
+		script: 'duckduckgo-downloader.js',
+		summary: 'Deep harvest of DuckDuckGo image results for one query',
+		options: {
+			query: { type: 'string', help: 'Search query' },
+			limit: {
+				type: 'number',
+				default: 0,
+				help: 'Stop after N new images (0 = no limit)',
+			},
+			category: {
+				type: 'string',
+				default: 'uncategorized',
+				help: 'Category stored with the images',
+			},
+			out: {
+				type: 'string',
+				default: 'images-queries',
+				help: 'Output directory',
+			},
+			...SEARCH_FILTER_OPTIONS,
+		},
+	},
+	commons: {
+		script: 'commons-downloader.js',
+		summary: 'Download Wikimedia Commons images for a Wikidata profile',
+		options: {
+			profile: { type: 'string', default: 'science', help: 'Class profile' },
+			profiles: {
+				type: 'string',
+				default: 'commons-profiles.json',
+				help: 'Profiles file',
+			},
+			from: { type: 'number', default: 1800, help: 'First year' },
+			to: { type: 'number', default: 2100, help: 'Last year' },
+			out: {
+				type: 'string',
+				default: 'images-commons',
+				help: 'Output directory',
+			},
+			licenses: {
+				type: 'list',
+				default: 'ANY-CC',
+				help: 'Allowed licences: PD, CC0, CC-BY, CC-BY-SA, ANY-CC',
+			},
+			'license-filter': {
+				type: 'boolean',
+				default: false,
+				flag: '--noLicenseFilter',
+				invert: true,
+				valued: true,
+				help: 'Only save files with an allowed licence',
+			},
+			metadata: {
+				type: 'boolean',
+				default: false,
+				flag: '--noNdjson',
+				invert: true,
+				valued: true,
+				help: 'Append file metadata to the ndjson file',
+			},
+			ndjson: {
+				type: 'string',
+				default: 'commons-metadata.ndjson',
+				help: 'Metadata file',
+			},
+			debug: {
+				type: 'boolean',
+				default: true,
+				valued: true,
+				help: 'Verbose logging',
+			},
+			concurrency: { type: 'number', default: 2, help: 'Downloads at a time' },
+			delay: { type: 'number', default: 150, help: 'Pause per image (ms)' },
+			batch: { type: 'number', default: 20, help: 'SPARQL rows per page' },
+			'years-per-slice': {
+				type: 'number',
+				default: 2,
+				flag: '--yearsPerSlice',
+				help: 'Years per SPARQL slice',
+			},
+			'page-retries': {
+				type: 'number',
+				default: 3,
+				flag: '--pageRetries',
+				help: 'Retries per SPARQL page',
+			},
+			'wd-delay': {
+				type: 'number',
+				default: 2000,
+				flag: '--wdDelay',
+				help: 'Pause between SPARQL pages (ms)',
+			},
+			'wd-timeout': {
+				type: 'number',
+				default: 45000,
+				flag: '--wdTimeout',
+				help: 'SPARQL request timeout (ms)',
+			},
+			'http-timeout': {
+				type: 'number',
+				default: 30000,
+				flag: '--httpTimeout',
+				help: 'Commons request timeout (ms)',
+			},
+			'restart-delay': {
+				type: 'number',
+				default: 15000,
+				flag: '--restartDelay',
+				help: 'Wait before restarting after a crash (ms)',
+			},
+			checkpoint: {
+				type: 'string',
+				default: '.commons.ckpt.json',
+				help: 'Checkpoint file',
+			},
+			'hash-index': {
+				type: 'string',
+				default: '.commons-hash-index.ndjson',
+				flag: '--hashindex',
+				help: 'SHA-256 index',
+			},
+			'phash-index': {
+				type: 'string',
+				default: '.phash-index.ndjson',
+				flag: '--phashIndex',
+				help: 'Perceptual-hash index',
+			},
+			'phash-distance': {
+				type: 'number',
+				default: 6,
+				flag: '--phashDistance',
+				help: 'Near-duplicate distance',
+			},
+			'phash-mode': {
+				type: 'string',
+				default: 'reject',
+				choices: ['reject', 'report', 'off'],
+				flag: '--phashMode',
+				help: 'Near-duplicate handling',
+			},
+			ua: {
+				type: 'string',
+				default: 'commons-downloader/1.3',
+				help: 'User-Agent',
+			},
+		},
+	},
+	upload: {
+		script: 'cloudinary-uploader.js',
+		summary: 'Publish images-queries/ (positional "sync" compares first)',
+		args: '[sync]',
+		options: {
+			dest: {
+				type: 'string',
+				default: 'cloudinary',
+				help: 'Destinations: cloudinary, s3[:bucket[/prefix]], local:<dir>',
+			},
+			concurrency: { type: 'number', default: 4, help: 'Uploads at a time' },
+			retries: { type: 'number', default: 5, help: 'Retries per upload' },
+			'retry-failed': {
+				type: 'boolean',
+				default: false,
+				help: 'Upload only the files that failed before',
+			},
+			backfill: {
+				type: 'boolean',
+				default: false,
+				help: 'Add tags/context to earlier Cloudinary uploads',
+			},
+			apply: {
+				type: 'boolean',
+				default: false,
+				help: 'sync: carry out the plan',
+			},
+			delete: {
+				type: 'boolean',
+				default: false,
+				help: 'sync: also delete remote objects with no local file',
+			},
+		},
+	},
+	verify: {
+		script: 'verify.js',
+		summary: 'Check metadata, indexes and upload records against the files',
+		options: {
+			fix: {
+				type: 'boolean',
+				default: false,
+				help: 'Rebuild the hash indexes from the files',
+			},
+			limit: { type: 'number', default: 20, help: 'Items listed per section' },
+		},
+	},
+	credits: {
+		script: 'credits-generator.js',
+		summary: 'Write credits.html/.md/.csv',
+		options: {
+			out: { type: 'string', default: 'credits', help: 'Output path prefix' },
+			formats: { type: 'list', default: 'html,md,csv', help: 'Formats' },
+			metadata: {
+				type: 'string',
+				default: 'image-metadata.ndjson',
+				help: 'query-downloader metadata',
+			},
+			ndjson: {
+				type: 'string',
+				default: 'commons-metadata.ndjson',
+				help: 'commons-downloader metadata',
+			},
+		},
+	},
+	move: {
+		script: 'file-mover.js',
+		summary: 'Move or copy finished downloads (rules in file-mover.json)',
+		options: {
+			rules: {
+				type: 'string',
+				default: 'file-mover.json',
+				flag: '--config',
+				help: 'Rules file',
+			},
+			once: { type: 'boolean', default: false, help: 'Run one pass and exit' },
+			'dry-run': {
+				type: 'boolean',
+				default: false,
+				help: 'Print what would be moved',
+			},
+		},
+	},
+	queries: {
+		script: 'queries-file.js',
+		summary: 'Check queries.json for unknown keys and repeated queries',
+		options: {
+			file: {
+				type: 'string',
+				default: 'queries.json',
+				help: 'Queries file',
+			},
+		},
+	},
+};
+
+// "per-host" -> "MET_PER_HOST"
+function envName(name) {
+	return ENV_PREFIX + name.toUpperCase().replace(/-/g, '_');
+}
+
+// Turn a config/env/flag value into the option's type
+function coerce(spec, value, from) {
+	const fail = (expected) => {
+		throw new Error(
+			`${from} must be ${expected}, got ${JSON.stringify(value)}`
+		);
+	};
+	let out = value;
+	if (spec.type === 'boolean') {
+		if (typeof value === 'string') {
+			if (/^(true|1|yes|on)$/i.test(value)) out = true;
+			else if (/^(false|0|no|off)$/i.test(value)) out = false;
+			else fail('true or false');
+		} else if (typeof value !== 'boolean') fail('true or false');
+	} else if (spec.type === 'number') {
+		out = Number(value);
+		if (value === '' || typeof value === 'boolean' || !Number.isFinite(out))
+			fail('a number');
+	} else if (spec.type === 'list') {
+		out = Array.isArray(value) ? value.map(String) : String(value).split(',');
+		out = out.map((s) => s.trim()).filter(Boolean);
+	} else {
+		if (typeof value === 'object' || value === '') fail('a string');
+		out = String(value);
+	}
+	if (spec.choices && !spec.choices.includes(out)) {
+		fail(`one of ${spec.choices.join(', ')}`);
+	}
+	return out;
+}
+
+function readConfigFile(file, required) {
+	if (!fs.existsSync(file)) {
+		if (required) throw new Error(`Config not found: ${file}`);
+		return {};
+	}
+	let data;
+	try {
+		data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+	} catch (e) {
+		throw new Error(`${file} is not valid JSON (${e.message})`);
+	}
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		throw new Error(`${file} must contain a JSON object`);
+	}
+	return data;
+}
+
+// Split argv into option flags and positional arguments.
+// Returns { flags: Map(name -> raw value), positional, help, configFile }
+function parseFlags(command, argv) {
+	const { options } = COMMANDS[command];
+	const flags = new Map();
+	const positional = [];
+	let help = false;
+	let configFile;
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === '--help' || arg === '-h') {
+			help = true;
+			continue;
+		}
+		if (!arg.startsWith('--')) {
+			positional.push(arg);
+			continue;
+		}
+		const eq = arg.indexOf('=');
+		const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+		let value = eq === -1 ? undefined : arg.slice(eq + 1);
+
+		if (name === 'config') {
+			configFile = value ?? argv[++i];
+			if (!configFile) throw new Error('--config needs a file');
+			continue;
+		}
+		if (!options[name] && name.startsWith('no-')) {
+			const base = name.slice(3);
+			if (options[base]?.type === 'boolean' && value === undefined) {
+				flags.set(base, false);
+				continue;
+			}
+		}
+		const spec = options[name];
+		if (!spec) {
+			throw new Error(
+				`Unknown option --${name} for "${command}" (see met-downloader ${command} --help)`
+			);
+		}
+		if (value === undefined) {
+			if (spec.type === 'boolean') {
+				value = true;
+			} else {
+				value = argv[++i];
+				if (value === undefined) throw new Error(`--${name} needs a value`);
+			}
+		}
+		flags.set(name, value);
+	}
+
+	return { flags, positional, help, configFile };
+}
+
+// Resolve a subcommand's options from config file, environment and argv.
+// Returns { values: { name: value }, positional, help, configFile }
+function resolveOptions(command, argv, env = process.env) {
+	const def = COMMANDS[command];
+	if (!def) throw new Error(`Unknown command "${command}"`);
+	const parsed = parseFlags(command, argv);
+	const configFile = path.resolve(
+		parsed.configFile || env.MET_CONFIG || DEFAULT_CONFIG_FILE
+	);
+	const values = {};
+	if (parsed.help) return { values, ...parsed, configFile };
+
+	const config = readConfigFile(
+		configFile,
+		!!(parsed.configFile || env.MET_CONFIG)
+	);
+	const allOptions = new Set(
+		Object.values(COMMANDS).flatMap((c) => Object.keys(c.options))
+	);
+	for (const key of Object.keys(config)) {
+		if (COMMANDS[key] || allOptions.has(key)) continue;
+		console.warn(`Warning: unknown key "${key}" in ${configFile}`);
+	}
+	const section = config[command] || {};
+	for (const key of Object.keys(section)) {
+		if (!def.options[key]) {
+			console.warn(
+				`Warning: unknown option "${key}" in the "${command}" section of ${configFile}`
+			);
+		}
+	}
+
+	for (const [name, spec] of Object.entries(def.options)) {
+		const sources = [
+			[config[name], `${name} in ${configFile}`],
+			[section[name], `${command}.${name} in ${configFile}`],
+			[env[envName(name)], envName(name)],
+			[parsed.flags.get(name), `--${name}`],
+		];
+		for (const [value, from] of sources) {
+			if (value !== undefined) values[name] = coerce(spec, value, from);
+		}
+	}
+
+	return { ...parsed, values, configFile };
+}
+
+// Resolved values -> the flags the subcommand's script understands
+function toScriptArgs(command, values) {
+	const { options } = COMMANDS[command];
+	const out = [];
+	for (const [name, value] of Object.entries(values)) {
+		const spec = options[name];
+		const flag = spec.flag || `--${name}`;
+		if (spec.type === 'boolean' && spec.valued) {
+			out.push(flag, String(spec.invert ? !value : value));
+		} else if (spec.type === 'boolean') {
+			if (value !== !!spec.invert) out.push(flag);
+		} else {
+			out.push(flag, spec.type === 'list' ? value.join(',') : String(value));
+		}
+	}
+	return out;
+}
+
+function usage(command) {
+	const lines = [];
+	if (!command) {
+		lines.push('Usage: met-downloader <command> [options]', '', 'Commands:');
+		for (const [name, def] of Object.entries(COMMANDS)) {
+			lines.push(`  ${name.padEnd(10)}${def.summary}`);
+		}
+		lines.push(
+			'',
+			'met-downloader <command> --help lists the options of a command.',
+			`Settings are read from ${path.basename(
+				DEFAULT_CONFIG_FILE
+			)} (--config <file>),`,
+			`${ENV_PREFIX}<OPTION> environment variables and flags, later ones winning.`
+		);
+		return lines.join('\n');
+	}
+
+	const def = COMMANDS[command];
+	lines.push(
+		`Usage: met-downloader ${command} ${
+			def.args ? `${def.args} ` : ''
+		}[options]`,
+		'',
+		def.summary,
+		'',
+		'Options:'
+	);
+	const rows = Object.entries(def.options).map(([name, spec]) => {
+		const arg =
+			spec.type === 'boolean'
+				? `--[no-]${name}`
+				: `--${name} <${spec.type === 'list' ? 'a,b' : spec.type}>`;
+		const notes = [];
+		if (spec.choices) notes.push(spec.choices.join('|'));
+		if (spec.default !== undefined) notes.push(`default ${spec.default}`);
+		return [arg, `${spec.help}${notes.length ? ` (${notes.join(', ')})` : ''}`];
+	});
+	rows.push([
+		'--config <file>',
+		`Settings file (default ${path.basename(DEFAULT_CONFIG_FILE)})`,
+	]);
+	const width = Math.max(...rows.map(([arg]) => arg.length)) + 2;
+	for (const [arg, text] of rows) lines.push(`  ${arg.padEnd(width)}${text}`);
+	lines.push(
+		'',
+		`Every option can also be set as ${envName(
+			'option-name'
+		)} or in the "${command}"`,
+		`section of ${path.basename(DEFAULT_CONFIG_FILE)}.`
+	);
+	return lines.join('\n');
+}
+
+module.exports = {
+	COMMANDS,
+	DEFAULT_CONFIG_FILE,
+	envName,
+	resolveOptions,
+	toScriptArgs,
+	usage,
+};
@@ -0,0 +1,256 @@
+// Attribution/credits export
+// Reads image-metadata.ndjson/.json (query-downloader) and commons-metadata.ndjson
+// (commons-downloader) and writes credits.html, credits.md and credits.csv.
+// Files with a missing or unknown licence are listed in their own section.
+//
+// Usage: node credits-generator.js [--out credits] [--formats html,md,csv]
+//                                  [--metadata image-metadata.ndjson] [--ndjson commons-metadata.ndjson]
+
+const fs = require('fs');
+const path = require('path');
+const {
+	DEFAULT_JOURNAL_FILE: DEFAULT_METADATA_FILE,
+	readMetadata,
+} = require('./metadata-store');
+
+const DEFAULT_NDJSON_FILE = path.join(__dirname, 'commons-metadata.ndjson');
+const DEFAULT_OUT = path.join(__dirname, 'credits');
+const FORMATS = ['html', 'md', 'csv'];
+
+function parseArgs() {
+	const args = process.argv.slice(2);
+	const options = {};
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === '--out' && args[i + 1]) {
+			options.out = args[i + 1];
+			i++;
+		} else if (args[i] === '--formats' && args[i + 1]) {
+			options.formats = args[i + 1].split(',').map((f) => f.trim());
+			i++;
+		} else if (args[i] === '--metadata' && args[i + 1]) {
+			options.metadata = args[i + 1];
+			i++;
+		} else if (args[i] === '--ndjson' && args[i + 1]) {
+			options.ndjson = args[i + 1];
+			i++;
+		}
+	}
+
+	return options;
+}
+
+function main() {
+	const options = parseArgs();
+	const formats = options.formats || FORMATS;
+	const unknownFormats = formats.filter((f) => !FORMATS.includes(f));
+	if (unknownFormats.length > 0) {
+		console.error(`Error: Unknown format(s): ${unknownFormats.join(', ')}`);
+		console.log(`Available formats: ${FORMATS.join(', ')}`);
+		process.exit(1);
+	}
+
+	const entries = [
+		...loadQueryEntries(options.metadata || DEFAULT_METADATA_FILE),
+		...loadCommonsEntries(options.ndjson || DEFAULT_NDJSON_FILE),
+	];
+	const credited = entries.filter((e) => !isUnknownLicense(e.license));
+	const flagged = entries.filter((e) => isUnknownLicense(e.license));
+
+	const out = options.out || DEFAULT_OUT;
+	const writers = { html: toHtml, md: toMarkdown, csv: toCsv };
+	for (const format of formats) {
+		const file = `${out}.${format}`;
+		fs.writeFileSync(file, writers[format](credited, flagged));
+		console.log(`Wrote ${file}`);
+	}
+
+	console.log(
+		`${entries.length} file(s): ${credited.length} credited, ${flagged.length} with missing or unknown licence`
+	);
+}
+
+function loadQueryEntries(file) {
+	// --metadata accepts the journal or a JSON export
+	const metadata = file.endsWith('.json')
+		? readMetadata({ journal: '', snapshot: file })
+		: readMetadata({ journal: file });
+	if (metadata.length === 0) console.warn(`No query metadata in ${file}`);
+	return metadata.map((m) => ({
+		filename: m.filename,
+		author: m.author || '',
+		license: m.license || '',
+		licenseUrl: m.licenseUrl || '',
+		sourcePage: m.pageUrl || m.sourceUrl || '',
+		source: m.provider || 'query',
+	}));
+}
+
+function loadCommonsEntries(file) {
+	if (!fs.existsSync(file)) {
+		console.warn(`Skipping ${file} (not found)`);
+		return [];
+	}
+	const entries = [];
+	const lines = fs.readFileSync(file, 'utf-8').split(/\r?\n/);
+	for (const line of lines) {
+		if (!line.trim()) continue;
+		let r;
+		try {
+			r = JSON.parse(line);
+		} catch {
+			continue;
+		}
+		const title = r.commons_title || '';
+		entries.push({
+			filename: r.path ? path.basename(r.path) : title.replace(/^File:/, ''),
+			author: r.artist || r.creator || '',
+			license: r.license || '',
+			licenseUrl: r.license_url || '',
+			sourcePage:
+				r.description_url ||
+				(title
+					? `https://commons.wikimedia.org/wiki/${encodeURIComponent(
+							title.replace(/ /g, '_')
+					  ).replace(/%3A/gi, ':')}`
+					: ''),
+			source: 'commons',
+		});
+	}
+	return entries;
+}
+
+function isUnknownLicense(license) {
+	const l = String(license || '')
+		.trim()
+		.toUpperCase();
+	return !l || l === 'UNKNOWN';
+}
+
+// ---- Writers ----
+
+function toMarkdown(credited, flagged) {
+	const line = (e) => {
+		const license = e.license
+			? e.licenseUrl
+				? `[${mdEscape(e.license)}](${mdUrl(e.licenseUrl)})`
+				: mdEscape(e.license)
+			: 'no licence information';
+		const source = e.sourcePage
+			? `[source](${mdUrl(e.sourcePage)})`
+			: 'no source page';
+		return `- ${mdEscape(e.filename)} — ${mdEscape(
+			e.author || 'unknown author'
+		)} — ${license} — ${source}`;
+	};
+	return [
+		'# Image credits',
+		'',
+		...credited.map(line),
+		'',
+		'## Missing or unknown licence',
+		'',
+		...(flagged.length ? flagged.map(line) : ['None.']),
+		'',
+	].join('\n');
+}
+
+function toHtml(credited, flagged) {
+	const line = (e) => {
+		const license = e.license
+			? e.licenseUrl
+				? `<a href="${htmlEscape(e.licenseUrl)}">${htmlEscape(e.license)}</a>`
+				: htmlEscape(e.license)
+			: 'no licence information';
+		const source = e.sourcePage
+			? `<a href="${htmlEscape(e.sourcePage)}">source</a>`
+			: 'no source page';
+		return `  <li>${htmlEscape(e.filename)} — ${htmlEscape(
+			e.author || 'unknown author'
+		)} — ${license} — ${source}</li>`;
+	};
+	return [
+		'<!DOCTYPE html>',
+		'<html>',
+		'<head><meta charset="utf-8"><title>Image credits</title></head>',
+		'<body>',
+		'<h1>Image credits</h1>',
+		'<ul>',
+		...credited.map(line),
+		'</ul>',
+		'<h2>Missing or unknown licence</h2>',
+		flagged.length ? '<ul>' : '<p>None.</p>',
+		...flagged.map(line),
+		flagged.length ? '</ul>' : '',
+		'</body>',
+		'</html>',
+		'',
+	].join('\n');
+}
+
+function toCsv(credited, flagged) {
+	const header = [
+		'filename',
+		'author',
+		'license',
+		'license_url',
+		'source_page',
+		'source',
+		'status',
+	];
+	const row = (e, status) =>
+		[
+			e.filename,
+			e.author,
+			e.license,
+			e.licenseUrl,
+			e.sourcePage,
+			e.source,
+			status,
+		]
+			.map(csvEscape)
+			.join(',');
+	return [
+		header.join(','),
+		...credited.map((e) => row(e, 'ok')),
+		...flagged.map((e) => row(e, 'unknown-license')),
+		'',
+	].join('\n');
+}
+
+function mdEscape(s) {
+	return String(s).replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+// Commons "File:" titles often carry parentheses and spaces, which end a
+// Markdown link target early
+function mdUrl(url) {
+	return String(url)
+		.replace(/\(/g, '%28')
+		.replace(/\)/g, '%29')
+		.replace(/\s/g, '%20');
+}
+
+function htmlEscape(s) {
+	return String(s)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+function csvEscape(s) {
+	const v = String(s ?? '');
+	return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+if (require.main === module) {
+	try {
+		main();
+	} catch (err) {
+		console.error('Error:', err.stack || err);
+		process.exitCode = 1;
+	}
+}
+
+module.exports = { main };
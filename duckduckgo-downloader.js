@@ -1,15 +1,219 @@
-// Simple Puppeteer loader for DuckDuckGo Images
-// Usage: node duckduckgo-downloader.js [url] [screenshotPath]
-// Example:
-//   node duckduckgo-downloader.js "https://duckduckgo.com/?t=ffab&q=science&ia=images&iax=images" ddg-science.png
+// Deep harvest of one topic from DuckDuckGo Images
+// Pages through DDG's JSON results for a single query (Puppeteer scrolling the
+// results page is the fallback when they can't be had) and saves images the
+// same way query-downloader.js does (quality gate, resize, near-duplicate
+// check, names <query>_NN.<ext>), appending a record per image to the
+// metadata store (image-metadata.ndjson) with the page it came from as DDG
+// shows it: pageUrl, pageTitle, sourceWidth x sourceHeight and sourceDomain.
+// The full-size original is downloaded where DDG's result data names one,
+// with its thumbnail as fallback (see image-saver.js).
+// Images already saved for the query are skipped and numbering continues
+// after them, so a run can be repeated to go deeper.
+//
+// Usage: node duckduckgo-downloader.js --query "microbial life"
+//                                      [--limit 0] [--category uncategorized] [--out images-queries]
+//                                      [--size Large] [--color Red] [--type photo] [--layout Wide]
+//                                      [--license Public] [--safe-search moderate]
+//   --limit  stop after N new images (0 = no limit; LIMIT in the environment also works)
+//   --out    output directory; records for files outside images-queries/ carry their path
+//   --size, --color, --type, --layout, --license, --safe-search  DDG image filters
+//            (see search-providers.js); the category's entry in search-filters.json
+//            (--filters-file) is used for the ones not given
+// ROUNDS, PAGES and PAUSE in the environment tune the scrolling.
 
-const query = 'microbial life';
+const path = require('path');
+const { openMetadataStore } = require('./metadata-store');
+const {
+	DEFAULT_INDEX_FILE: PHASH_INDEX_FILE,
+	DEFAULT_MAX_DISTANCE: PHASH_MAX_DISTANCE,
+	createPhashIndex,
+} = require('./perceptual-hash');
+const { DEFAULT_RULES, loadPlaceholders } = require('./image-quality');
+const {
+	candidateFields,
+	createImageSaver,
+	fileIndex,
+} = require('./image-saver');
+const {
+	collectResultTiles,
+	createProvider,
+	ddgSearchUrl,
+	normalizeFilters,
+	readCategoryFilters,
+	watchImageResults,
+} = require('./search-providers');
+
+const FILTERS_FILE = path.join(__dirname, 'search-filters.json');
+
+function parseArgs() {
+	const args = process.argv.slice(2);
+	const options = {};
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === '--query' && args[i + 1]) {
+			options.query = args[i + 1];
+			i++;
+		} else if (args[i] === '--limit' && args[i + 1]) {
+			options.limit = parseInt(args[i + 1], 10);
+			i++;
+		} else if (args[i] === '--category' && args[i + 1]) {
+			options.category = args[i + 1];
+			i++;
+		} else if (args[i] === '--out' && args[i + 1]) {
+			options.out = args[i + 1];
+			i++;
+		} else if (
+			['--size', '--color', '--type', '--layout', '--license'].includes(
+				args[i]
+			) &&
+			args[i + 1]
+		) {
+			options.filters = { ...options.filters, [args[i].slice(2)]: args[i + 1] };
+			i++;
+		} else if (args[i] === '--safe-search' && args[i + 1]) {
+			options.filters = { ...options.filters, safeSearch: args[i + 1] };
+			i++;
+		} else if (args[i] === '--filters-file' && args[i + 1]) {
+			options.filtersFile = args[i + 1];
+			i++;
+		}
+	}
+
+	return options;
+}
 
 async function main() {
-	const url = `https://duckduckgo.com/?q=${query}&iar=images`;
-	// const screenshotPath = process.argv[3] || 'duckduckgo-science.png';
-	const limit = parseInt(process.argv[4] || process.env.LIMIT || '0', 10) || 0; // 0 = no explicit limit
+	const options = parseArgs();
+	if (!options.query) {
+		console.error('Error: --query is required');
+		process.exitCode = 1;
+		return;
+	}
+	const query = options.query;
+	const category = options.category || 'uncategorized';
+	// Flags given for this run win over the category's defaults
+	let filters;
+	try {
+		filters = {
+			...readCategoryFilters(options.filtersFile || FILTERS_FILE)[category],
+			...normalizeFilters(options.filters, 'Search filters'),
+		};
+	} catch (e) {
+		console.error(`Error: ${e.message}`);
+		process.exitCode = 1;
+		return;
+	}
+	const url = ddgSearchUrl(query, filters);
+	// 0 = no explicit limit
+	const limit = options.limit || parseInt(process.env.LIMIT || '0', 10) || 0;
+
+	// Same quality gate, encoding and near-duplicate index as query-downloader.js
+	const saver = createImageSaver({
+		...(options.out ? { outputDir: path.resolve(options.out) } : {}),
+		qualityRules: { ...DEFAULT_RULES, placeholders: loadPlaceholders() },
+		nearDuplicates: {
+			index: createPhashIndex(PHASH_INDEX_FILE),
+			maxDistance: PHASH_MAX_DISTANCE,
+			mode: 'reject',
+			scope: 'collection',
+		},
+	});
+
+	// Continue after the images this query already has
+	const store = await openMetadataStore();
+	const existing = store.records.filter(
+		(m) => m.query === query && m.category === category
+	);
+	const seen = new Set(
+		existing
+			.flatMap((m) => [m.sourceUrl, m.originalUrl, m.requestUrl])
+			.filter(Boolean)
+	);
+	let nextIndex =
+		Math.max(0, ...existing.map((m) => fileIndex(m.filename))) + 1;
+	console.log(
+		`"${query}" (${category}): ${existing.length} image(s) already saved`
+	);
+
+	let numDownloaded = 0;
+	// Save one result ({ url, thumbnailUrl?, pageUrl?, title?, width?, height?,
+	// domain? }) and journal its record; false when it was skipped or failed
+	const save = async (tile) => {
+		const imageUrl = tile.url;
+		if (seen.has(imageUrl)) return false;
+		seen.add(imageUrl);
+		try {
+			const record = await saver.save(imageUrl, {
+				query,
+				category,
+				nextIndex: () => nextIndex++,
+				fallbackUrl: tile.thumbnailUrl,
+			});
+			await store.append([
+				{
+					...record,
+					...candidateFields({ provider: 'duckduckgo', ...tile }),
+				},
+			]);
+			numDownloaded++;
+			console.log('Saved:', record.filename);
+			return true;
+		} catch (e) {
+			console.warn(`Skipped ${imageUrl}: ${e.message || e}`);
+			return false;
+		}
+	};
+
+	const isDone = () => limit > 0 && numDownloaded >= limit;
+	try {
+		// DDG's JSON results first; the browser only when they can't be had
+		try {
+			await harvestJson(query, { filters, save, isDone });
+		} catch (e) {
+			console.warn(`JSON results failed (${e.message}); using the browser`);
+			await harvestWithBrowser(url, {
+				limit,
+				seen,
+				save,
+				isDone,
+				saved: () => numDownloaded,
+			});
+		}
 
+		console.log(
+			`Downloaded ${numDownloaded} file(s) to ${path.relative(
+				process.cwd(),
+				saver.outputDir
+			)}`
+		);
+	} finally {
+		await store.close();
+	}
+}
+
+// Page through DDG's JSON image results (ddg-json provider) until the limit is
+// reached or there are no more pages
+async function harvestJson(query, { filters, save, isDone }) {
+	const provider = createProvider('ddg-json');
+	let cursor = null;
+	let total = 0;
+	for (let pageNo = 1; ; pageNo++) {
+		const page = await provider.page(query, { cursor, filters });
+		console.log(`Page ${pageNo}: ${page.candidates.length} result(s)`);
+		total += page.candidates.length;
+		for (const c of page.candidates) {
+			if (isDone()) return;
+			await save(c);
+		}
+		cursor = page.cursor;
+		if (!cursor || page.candidates.length === 0 || isDone()) break;
+		await delay(1000 + Math.random() * 1000);
+	}
+	if (total === 0) throw new Error('no results');
+}
+
+// Puppeteer fallback: scroll the results page and read the tiles
+async function harvestWithBrowser(url, { limit, seen, save, isDone, saved }) {
 	const puppeteer = require('puppeteer');
 	const browser = await puppeteer.launch({
 		headless: true,
@@ -25,6 +229,9 @@ async function main() {
 		'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36'
 	);
 
+	// Original image URLs from the JSON results the page loads (i.js)
+	const watcher = watchImageResults(page);
+
 	try {
 		console.log('Navigating to:', url);
 		const startTime = Date.now();
@@ -88,36 +295,28 @@ async function main() {
 		// await page.screenshot({ path: screenshotPath, fullPage: true });
 		// console.log('Saved screenshot:', screenshotPath);
 
-		// Ensure output directory exists
-		const outDir = path.resolve(__dirname, 'images-duckduckgo');
-		ensureDir(outDir);
-
 		// Iterative harvest: collect direct URLs, download, then scroll to load more
-		const seen = new Set();
-		let numDownloaded = 0;
 		const maxRounds = parseInt(process.env.ROUNDS || '15', 10) || 15; // how many harvest rounds
 		const pagesPerRound = parseInt(process.env.PAGES || '4', 10) || 4; // viewport heights per round
 		const pauseMs = parseInt(process.env.PAUSE || '600', 10) || 600; // pause between scroll steps
 
 		let noGrowth = 0;
 		for (let round = 1; round <= maxRounds; round++) {
-			if (limit && numDownloaded >= limit) break;
-
-			const allUrls = await collectOriginalImageUrls(page, 0);
-			const newUrls = allUrls.filter((u) => !seen.has(u));
-			newUrls.forEach((u) => seen.add(u));
-			if (newUrls.length > 0) {
-				console.log(`Round ${round}: ${newUrls.length} new direct URL(s).`);
-				for (const u of newUrls) {
-					if (limit && numDownloaded >= limit) break;
-					const ok = await downloadImage(u, outDir, { referer: url });
-					if (ok) numDownloaded++;
+			if (isDone()) break;
+
+			const tiles = watcher.resolve(await collectResultTiles(page, 0));
+			const newTiles = tiles.filter((t) => !seen.has(t.url));
+			if (newTiles.length > 0) {
+				console.log(`Round ${round}: ${newTiles.length} new direct URL(s).`);
+				for (const t of newTiles) {
+					if (isDone()) break;
+					await save(t);
 				}
 			} else {
 				console.log(`Round ${round}: 0 new URLs discovered.`);
 			}
 
-			if (limit && numDownloaded >= limit) break;
+			if (isDone()) break;
 
 			// Scroll a few pages to trigger more thumbnails
 			const beforeCount = await countThumbnails(page);
@@ -136,15 +335,9 @@ async function main() {
 		}
 
 		// If still nothing, fallback to click-based extraction
-		if (numDownloaded === 0) {
-			const clickedDownloaded = await downloadAllVisibleImages(page, {
-				limit,
-				referer: url,
-			});
-			numDownloaded += clickedDownloaded;
+		if (saved() === 0) {
+			await downloadAllVisibleImages(page, { limit, save });
 		}
-
-		console.log(`Downloaded ${numDownloaded} file(s) to images-duckduckgo/`);
 	} finally {
 		await browser.close().catch(() => {});
 	}
@@ -203,74 +396,10 @@ if (require.main === module) {
 	});
 }
 
-// ---- Helpers for image extraction and download ----
-const fs = require('fs');
-const path = require('path');
-const https = require('https');
-const http = require('http');
-
-// Extract original image URLs directly from DuckDuckGo proxy URLs present in thumbnails
-async function collectOriginalImageUrls(page, limit = 0) {
-	const urls = await page.evaluate(() => {
-		const out = new Set();
-		const imgs = Array.from(
-			document.querySelectorAll('div.tile--img img, div.js-images img, img')
-		);
-		const extractFrom = (raw) => {
-			try {
-				if (!raw) return null;
-				const url = new URL(raw, location.href);
-				// DDG proxy forms
-				if (url.hostname.includes('duckduckgo.com')) {
-					const u = url.searchParams.get('u');
-					if (u) return decodeURIComponent(u);
-					const uddg = url.searchParams.get('uddg');
-					if (uddg) return decodeURIComponent(uddg);
-				}
-				if (url.hostname.includes('external-content.duckduckgo.com')) {
-					const u = url.searchParams.get('u');
-					if (u) return decodeURIComponent(u);
-				}
-			} catch {}
-			return null;
-		};
-
-		for (const img of imgs) {
-			const cands = [
-				img.getAttribute('src'),
-				img.getAttribute('data-src'),
-				img.getAttribute('srcset'),
-			];
-			for (const cand of cands) {
-				if (!cand) continue;
-				// srcset may contain multiple URLs separated by commas
-				const parts = cand
-					.split(',')
-					.map((s) => s.trim().split(' ')[0])
-					.filter(Boolean);
-				for (const p of parts) {
-					const or = extractFrom(p);
-					if (or) out.add(or);
-				}
-			}
-			// Also check a closest anchor
-			const a = img.closest('a');
-			if (a && a.href) {
-				const or = extractFrom(a.href);
-				if (or) out.add(or);
-			}
-		}
-		return Array.from(out);
-	});
-	// Apply limit and de-dup
-	const unique = Array.from(new Set(urls));
-	return limit && limit > 0 ? unique.slice(0, limit) : unique;
-}
+// ---- Helpers for image extraction ----
 
 async function downloadAllVisibleImages(page, options = {}) {
-	const { limit = 0, referer } = options;
-	const outDir = path.resolve(__dirname, 'images-duckduckgo');
-	ensureDir(outDir);
+	const { limit = 0, save } = options;
 
 	// Prefer clickable anchors within tiles, then tiles, then plain images
 	const preferredSelectors = [
@@ -366,12 +495,10 @@ async function downloadAllVisibleImages(page, options = {}) {
 				if (!retryUrl) {
 					console.warn(`[${i + 1}/${toAttempt}] No "View file" URL found.`);
 				} else {
-					const saved = await downloadImage(retryUrl, outDir, { referer });
-					if (saved) downloadedCount++;
+					if (await save({ url: retryUrl })) downloadedCount++;
 				}
 			} else {
-				const saved = await downloadImage(viewUrl, outDir, { referer });
-				if (saved) downloadedCount++;
+				if (await save({ url: viewUrl })) downloadedCount++;
 			}
 		} catch (e) {
 			console.warn(
@@ -472,152 +599,6 @@ async function waitAndGetViewFileUrl(page, timeoutMs = 10_000) {
 	});
 	return heuristicHref || null;
 }
-function ensureDir(dir) {
-	if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-}
-
-function toFilenameFromUrl(u, fallbackExt = '.jpg') {
-	try {
-		const urlObj = new URL(u);
-		let name = path.basename(urlObj.pathname);
-		if (!name || name === '/' || name.startsWith('?')) {
-			name = `image${fallbackExt}`;
-		}
-		// Strip querystring leftovers
-		name = name.replace(/[\?#].*$/, '');
-		if (!path.extname(name)) name += fallbackExt;
-		// Clean dangerous characters
-		name = name.replace(/[^a-zA-Z0-9_\-\.]/g, '_');
-		return name;
-	} catch {
-		return `image${fallbackExt}`;
-	}
-}
-
-async function downloadImage(fileUrl, outDir, opts = {}) {
-	return new Promise((resolve) => {
-		try {
-			const urlObj = new URL(fileUrl);
-			const mod = urlObj.protocol === 'http:' ? http : https;
-
-			const req = mod.get(
-				{
-					hostname: urlObj.hostname,
-					path: urlObj.pathname + (urlObj.search || ''),
-					protocol: urlObj.protocol,
-					headers: {
-						'User-Agent':
-							'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-						Referer: opts.referer || 'https://duckduckgo.com/',
-						Accept: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
-					},
-				},
-				(res) => {
-					if (
-						res.statusCode &&
-						res.statusCode >= 300 &&
-						res.statusCode < 400 &&
-						res.headers.location
-					) {
-						// Handle redirects
-						const redirectUrl = new URL(
-							res.headers.location,
-							urlObj
-						).toString();
-						res.resume(); // drain
-						downloadImage(redirectUrl, outDir, opts).then(resolve);
-						return;
-					}
-					if (res.statusCode !== 200) {
-						console.warn(`Failed to download (${res.statusCode}): ${fileUrl}`);
-						res.resume();
-						return resolve(false);
-					}
-
-					// Decide filename now that we can inspect Content-Type
-					const contentType = (res.headers['content-type'] || '').toLowerCase();
-					const extFromHeader = getExtFromContentType(contentType) || '.jpg';
-					const baseName = toFilenameFromUrl(fileUrl, ''); // avoid adding fallback here
-
-					const known = new Set([
-						'.jpg',
-						'.jpeg',
-						'.png',
-						'.webp',
-						'.avif',
-						'.gif',
-						'.bmp',
-						'.svg',
-						'.tif',
-						'.tiff',
-					]);
-					const currentExt = path.extname(baseName).toLowerCase();
-					let finalName;
-					if (currentExt && known.has(currentExt)) {
-						finalName = baseName; // trust known ext from URL
-					} else {
-						// Keep full baseName as-is and append the inferred extension
-						finalName = baseName + extFromHeader;
-					}
-
-					const filePath = uniquePath(path.join(outDir, finalName));
-
-					const ws = fs.createWriteStream(filePath);
-					res.pipe(ws);
-					ws.on('finish', () => {
-						ws.close(() => {
-							console.log('Saved:', path.basename(filePath));
-							resolve(true);
-						});
-					});
-					ws.on('error', (err) => {
-						console.warn('Write error:', err.message || err);
-						try {
-							fs.unlinkSync(filePath);
-						} catch {}
-						resolve(false);
-					});
-				}
-			);
-
-			req.on('error', (err) => {
-				console.warn('Request error:', err.message || err);
-				resolve(false);
-			});
-		} catch (e) {
-			console.warn('Download error:', e.message || e);
-			resolve(false);
-		}
-	});
-}
-
-function getExtFromContentType(ct) {
-	if (!ct) return null;
-	if (ct.includes('image/jpeg') || ct.includes('image/jpg')) return '.jpg';
-	if (ct.includes('image/png')) return '.png';
-	if (ct.includes('image/webp')) return '.webp';
-	if (ct.includes('image/avif')) return '.avif';
-	if (ct.includes('image/gif')) return '.gif';
-	if (ct.includes('image/bmp')) return '.bmp';
-	if (ct.includes('image/svg')) return '.svg';
-	if (ct.includes('image/tiff')) return '.tiff';
-	if (ct.includes('image/heic')) return '.heic';
-	return null;
-}
-
-function uniquePath(p) {
-	if (!fs.existsSync(p)) return p;
-	const dir = path.dirname(p);
-	const ext = path.extname(p);
-	const name = path.basename(p, ext);
-	let idx = 1;
-	let candidate;
-	do {
-		candidate = path.join(dir, `${name}_${idx}${ext}`);
-		idx++;
-	} while (fs.existsSync(candidate));
-	return candidate;
-}
 
 function delay(ms) {
 	return new Promise((r) => setTimeout(r, ms));
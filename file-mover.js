@@ -0,0 +1,315 @@
+// Moves or copies finished downloads out of images-commons/ and images-queries/
+// (replaces move-files.ps1; runs anywhere Node does).
+// Rules in file-mover.json pick the destination per source and category:
+//   { "interval": 60, "minAge": 10, "rules": [
+//       { "source": "commons", "to": "//server/share/science", "mode": "move" },
+//       { "source": "queries", "category": ["filmStars"], "to": "D:/stars/{category}", "mode": "copy" } ] }
+// The first matching rule wins; files no rule matches stay where they are.
+// Relative "to" paths are relative to this folder. There are no default
+// rules: copy file-mover.example.json to file-mover.json and edit it.
+// - .part files and files modified less than minAge seconds ago are skipped
+// - every copy is written as <dest>.part, checked against the source sha256,
+//   then renamed; a move deletes the source only after that check
+// - a moved image's derivatives (derivatives/<name>/ next to it) move with it
+// - every transfer is appended to file-mover.log.ndjson
+// - after a move the paths in image-metadata.ndjson, commons-metadata.ndjson,
+//   .commons-hash-index.ndjson and .phash-index.ndjson point at the new place
+//
+// Usage: node file-mover.js [--config file-mover.json] [--once] [--dry-run]
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { listSavedImages } = require('./image-saver');
+const {
+	openMetadataStore,
+	recordPath,
+	withLock,
+	writeFileAtomic,
+} = require('./metadata-store');
+const { DEFAULT_INDEX_FILE: PHASH_INDEX_FILE } = require('./perceptual-hash');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'file-mover.json');
+const LOG_FILE = path.join(__dirname, 'file-mover.log.ndjson');
+const COMMONS_NDJSON_FILE = path.join(__dirname, 'commons-metadata.ndjson');
+const HASH_INDEX_FILE = path.join(__dirname, '.commons-hash-index.ndjson');
+const SOURCES = {
+	commons: path.join(__dirname, 'images-commons'),
+	queries: path.join(__dirname, 'images-queries'),
+};
+
+function parseArgs() {
+	const args = process.argv.slice(2);
+	const options = {};
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === '--config' && args[i + 1]) {
+			options.config = args[i + 1];
+			i++;
+		} else if (args[i] === '--once') {
+			options.once = true;
+		} else if (args[i] === '--dry-run') {
+			options.dryRun = true;
+		}
+	}
+
+	return options;
+}
+
+function loadConfig(file) {
+	if (!fs.existsSync(file)) {
+		throw new Error(
+			`Config not found: ${file} (copy file-mover.example.json and set your destinations)`
+		);
+	}
+	const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+	const rules = config.rules || [];
+	rules.forEach((r, i) => {
+		if (!r.to) throw new Error(`Rule ${i + 1}: "to" is required`);
+		if (r.source && !SOURCES[r.source]) {
+			throw new Error(
+				`Rule ${i + 1}: unknown source "${r.source}" (${Object.keys(
+					SOURCES
+				).join(', ')})`
+			);
+		}
+		if (r.mode && !['move', 'copy'].includes(r.mode)) {
+			throw new Error(`Rule ${i + 1}: mode must be move or copy`);
+		}
+	});
+	return {
+		interval: Math.max(1, Number(config.interval ?? 60)),
+		minAge: Math.max(0, Number(config.minAge ?? 10)),
+		rules,
+	};
+}
+
+function matchRule(rules, source, category) {
+	return rules.find((r) => {
+		if (r.source && r.source !== source) return false;
+		if (r.category) {
+			const wanted = Array.isArray(r.category) ? r.category : [r.category];
+			if (!wanted.includes(category)) return false;
+		}
+		return true;
+	});
+}
+
+function sha256File(file) {
+	return new Promise((resolve, reject) => {
+		const hash = crypto.createHash('sha256');
+		fs.createReadStream(file)
+			.on('data', (chunk) => hash.update(chunk))
+			.on('end', () => resolve(hash.digest('hex')))
+			.on('error', reject);
+	});
+}
+
+// Copy via <dest>.part, verify the checksum, then rename into place.
+// Resolves to { dest, existed }. Name clashes get _1, _2...; an identical
+// file under any of those names counts as already done.
+async function transfer(from, toDir, sha) {
+	fs.mkdirSync(toDir, { recursive: true });
+	const ext = path.extname(from);
+	const name = path.basename(from, ext);
+	let dest = path.join(toDir, name + ext);
+	for (let idx = 1; fs.existsSync(dest); idx++) {
+		if ((await sha256File(dest)) === sha) return { dest, existed: true };
+		dest = path.join(toDir, `${name}_${idx}${ext}`);
+	}
+	const part = `${dest}.part`;
+	fs.copyFileSync(from, part);
+	const copied = await sha256File(part);
+	if (copied !== sha) {
+		fs.unlinkSync(part);
+		throw new Error(`checksum mismatch after copy (${copied} != ${sha})`);
+	}
+	fs.renameSync(part, dest);
+	return { dest, existed: false };
+}
+
+// Stored paths are relative to the project when they can be
+function storedPath(p) {
+	const rel = path.relative(__dirname, p);
+	return rel.startsWith('..') || path.isAbsolute(rel) ? p : rel;
+}
+
+// Rewrite "path" fields in an NDJSON file, holding its lock so no line the
+// downloaders append meanwhile is lost
+function rewriteNdjsonPaths(file, moved) {
+	return withLock(file, () => {
+		if (!fs.existsSync(file)) return 0;
+		let changed = 0;
+		const out = fs
+			.readFileSync(file, 'utf-8')
+			.split('\n')
+			.map((line) => {
+				if (!line.trim()) return line;
+				try {
+					const r = JSON.parse(line);
+					const to = r.path && moved.get(path.resolve(__dirname, r.path));
+					if (!to) return line;
+					changed++;
+					return JSON.stringify({ ...r, path: to });
+				} catch {
+					return line;
+				}
+			})
+			.join('\n');
+		if (changed) writeFileAtomic(file, out);
+		return changed;
+	});
+}
+
+// Move an image's derivatives (paths relative to its folder, as image-saver.js
+// writes them) to the same layout next to dest; resolves to the new paths.
+// One that can't be moved is left behind and dropped from the record.
+async function moveDerivatives(derivatives, from, dest) {
+	const out = {};
+	for (const [name, rel] of Object.entries(derivatives)) {
+		const src = path.join(path.dirname(from), rel);
+		try {
+			const sha = await sha256File(src);
+			const { dest: to } = await transfer(
+				src,
+				path.join(path.dirname(dest), 'derivatives', name),
+				sha
+			);
+			fs.unlinkSync(src);
+			out[name] = path
+				.relative(path.dirname(dest), to)
+				.split(path.sep)
+				.join('/');
+		} catch (e) {
+			console.warn(`  ✗ ${src}: ${e.message}`);
+		}
+	}
+	return out;
+}
+
+// One pass over both source directories
+async function runPass(config, options) {
+	const store = await openMetadataStore({ compactEvery: 0 });
+	const byPath = new Map(store.records.map((m) => [recordPath(m), m]));
+	const now = Date.now();
+	const moved = new Map(); // absolute old path -> stored new path
+	const movedRecords = [];
+	let count = 0;
+
+	for (const [source, dir] of Object.entries(SOURCES)) {
+		// Images only (.part/.tmp files are downloads in progress), outputSubdir
+		// folders included; derivatives go along with their image
+		for (const file of listSavedImages(dir)) {
+			const from = path.join(dir, file);
+			const st = fs.statSync(from);
+			if (now - st.mtimeMs < config.minAge * 1000) continue;
+
+			const meta = source === 'queries' ? byPath.get(storedPath(from)) : null;
+			const rule = matchRule(config.rules, source, meta?.category);
+			if (!rule) continue;
+			const mode = rule.mode || 'move';
+			const toDir = path.resolve(
+				__dirname,
+				rule.to.replace(/\{category\}/g, meta?.category || 'uncategorized')
+			);
+
+			if (options.dryRun) {
+				console.log(`[dry-run] ${mode} ${from} -> ${toDir}`);
+				continue;
+			}
+
+			try {
+				const sha = await sha256File(from);
+				const { dest, existed } = await transfer(from, toDir, sha);
+				// Copies stay in place, so they are seen again on every pass
+				if (mode === 'copy' && existed) continue;
+				if (mode === 'move') {
+					fs.unlinkSync(from);
+					moved.set(from, storedPath(dest));
+					if (meta) {
+						const record = {
+							...meta,
+							path: storedPath(dest),
+							movedFrom: recordPath(meta),
+						};
+						if (meta.derivatives) {
+							record.derivatives = await moveDerivatives(
+								meta.derivatives,
+								from,
+								dest
+							);
+						}
+						movedRecords.push(record);
+					}
+				}
+				fs.appendFileSync(
+					LOG_FILE,
+					JSON.stringify({
+						time: new Date().toISOString(),
+						action: mode,
+						from: storedPath(from),
+						to: storedPath(dest),
+						sha256: sha,
+						bytes: st.size,
+					}) + '\n'
+				);
+				console.log(
+					`  ✓ ${mode === 'move' ? 'Moved' : 'Copied'}: ${from} -> ${dest}`
+				);
+				count++;
+			} catch (e) {
+				console.warn(`  ✗ ${from}: ${e.message}`);
+			}
+		}
+	}
+
+	// Keep metadata and indexes pointing at the files. The metadata store is
+	// only appended to (no compaction) since a downloader may have it open.
+	if (movedRecords.length) await store.append(movedRecords);
+	if (moved.size) {
+		for (const file of [
+			COMMONS_NDJSON_FILE,
+			HASH_INDEX_FILE,
+			PHASH_INDEX_FILE,
+		]) {
+			const n = await rewriteNdjsonPaths(file, moved);
+			if (n) console.log(`  Updated ${n} path(s) in ${path.basename(file)}`);
+		}
+	}
+	return count;
+}
+
+async function main() {
+	const options = parseArgs();
+	const configFile = options.config || DEFAULT_CONFIG_FILE;
+	const config = loadConfig(configFile);
+	console.log(
+		`Loaded ${config.rules.length} rule(s) from ${configFile}${
+			options.dryRun ? ' (dry run)' : ''
+		}`
+	);
+
+	for (;;) {
+		try {
+			const count = await runPass(config, options);
+			console.log(
+				`Pass completed at ${new Date().toISOString()}: ${count} file(s)`
+			);
+		} catch (e) {
+			if (options.once || options.dryRun) throw e;
+			console.error('Error:', e.message);
+		}
+		if (options.once || options.dryRun) break;
+		console.log(`Waiting ${config.interval} seconds...`);
+		await new Promise((r) => setTimeout(r, config.interval * 1000));
+	}
+}
+
+if (require.main === module) {
+	main().catch((err) => {
+		console.error('Error:', err.message || err);
+		process.exitCode = 1;
+	});
+}
+
+module.exports = { main };
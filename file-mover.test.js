@@ -0,0 +1,83 @@
+// node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A copy of the scripts in a temp folder, so a run only touches its files
+const tmpProject = () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-mover-'));
+	for (const f of fs.readdirSync(__dirname)) {
+		if (f.endsWith('.js') && !f.endsWith('.test.js')) {
+			fs.copyFileSync(path.join(__dirname, f), path.join(dir, f));
+		}
+	}
+	fs.symlinkSync(
+		path.join(__dirname, 'node_modules'),
+		path.join(dir, 'node_modules'),
+		'dir'
+	);
+	return dir;
+};
+
+const write = (file, data) => {
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, data);
+};
+
+test('moves files in outputSubdir folders with their derivatives', () => {
+	const dir = tmpProject();
+	write(path.join(dir, 'images-queries/norse/Thor_01.jpg'), 'image');
+	write(
+		path.join(dir, 'images-queries/norse/derivatives/thumb/Thor_01.jpg'),
+		'thumb'
+	);
+	write(
+		path.join(dir, 'image-metadata.ndjson'),
+		JSON.stringify({
+			filename: 'Thor_01.jpg',
+			path: 'images-queries/norse/Thor_01.jpg',
+			query: 'Thor',
+			category: 'myth',
+			outputSubdir: 'norse',
+			derivatives: { thumb: 'derivatives/thumb/Thor_01.jpg' },
+		}) + '\n'
+	);
+	write(
+		path.join(dir, 'file-mover.json'),
+		JSON.stringify({
+			minAge: 0,
+			rules: [{ source: 'queries', to: 'moved/{category}' }],
+		})
+	);
+
+	execFileSync(process.execPath, ['file-mover.js', '--once'], {
+		cwd: dir,
+		stdio: 'pipe',
+	});
+
+	assert.ok(fs.existsSync(path.join(dir, 'moved/myth/Thor_01.jpg')));
+	assert.strictEqual(
+		fs.readFileSync(
+			path.join(dir, 'moved/myth/derivatives/thumb/Thor_01.jpg'),
+			'utf-8'
+		),
+		'thumb'
+	);
+	assert.ok(!fs.existsSync(path.join(dir, 'images-queries/norse/Thor_01.jpg')));
+	const records = fs
+		.readFileSync(path.join(dir, 'image-metadata.ndjson'), 'utf-8')
+		.trim()
+		.split('\n')
+		.map((line) => JSON.parse(line));
+	assert.deepStrictEqual(
+		{ ...records.at(-1), path: path.normalize(records.at(-1).path) },
+		{
+			...records[0],
+			path: path.normalize('moved/myth/Thor_01.jpg'),
+			movedFrom: path.normalize('images-queries/norse/Thor_01.jpg'),
+		}
+	);
+});
@@ -0,0 +1,297 @@
+// Output encoding for downloaded images: target format, byte budget, maximum
+// long edge and optional derivative sizes (thumb/medium/...).
+// The returned format is always the one actually written, so callers can pick
+// the file extension from it (extensionFor).
+
+const sharp = require('sharp');
+
+const FORMATS = ['jpeg', 'webp', 'avif', 'png', 'original'];
+
+const DEFAULT_OUTPUT = {
+	format: 'jpeg',
+	maxBytes: 800 * (1 << 10), // 800KB
+	maxEdge: 0, // 0 = keep source dimensions
+	derivatives: {}, // { thumb: 320, medium: 1024 } (long edge in px)
+};
+
+const EXTENSIONS = {
+	jpeg: '.jpg',
+	png: '.png',
+	webp: '.webp',
+	avif: '.avif',
+	heif: '.heic',
+	gif: '.gif',
+	tiff: '.tiff',
+	svg: '.svg',
+	bmp: '.bmp',
+};
+
+// Every extension a saved image can have; the other tools find images by it
+const IMAGE_EXTENSIONS = [...new Set([...Object.values(EXTENSIONS), '.jpeg'])];
+
+// Formats sharp can write; anything else is re-encoded as JPEG
+const WRITABLE = ['jpeg', 'png', 'webp', 'avif', 'gif', 'tiff'];
+// Formats where the quality setting trades size for fidelity
+const LOSSY = ['jpeg', 'webp', 'avif', 'tiff'];
+
+// Size optimizer bounds
+const MAX_QUALITY = 90;
+const MIN_QUALITY = 20;
+const SCALE_QUALITY = 75; // quality used while searching for a smaller size
+const MIN_EDGE = 200; // smallest long edge the optimizer will shrink to
+const MAX_ENCODES = 24;
+
+function extensionFor(format) {
+	if (!EXTENSIONS[format])
+		throw new Error(`Unsupported image format: ${format}`);
+	return EXTENSIONS[format];
+}
+
+// "800KB", "1.5MB", "500000" -> bytes
+function parseBytes(v) {
+	const m = String(v)
+		.trim()
+		.match(/^(\d+(?:\.\d+)?)\s*(b|kb?|mb?)?$/i);
+	if (!m) return NaN;
+	const unit = (m[2] || 'b').toLowerCase()[0];
+	const mult = unit === 'm' ? 1 << 20 : unit === 'k' ? 1 << 10 : 1;
+	return Math.round(Number(m[1]) * mult);
+}
+
+// "thumb:320,medium:1024" -> { thumb: 320, medium: 1024 }
+function parseDerivatives(v) {
+	const out = {};
+	for (const part of String(v || '').split(',')) {
+		if (!part.trim()) continue;
+		const [name, size] = part.split(':').map((s) => s.trim());
+		const n = Number(size);
+		if (!/^[a-z0-9_-]+$/i.test(name) || !Number.isFinite(n) || n <= 0) {
+			throw new Error(`Bad derivative "${part}" (expected name:pixels)`);
+		}
+		out[name] = n;
+	}
+	return out;
+}
+
+// Magic-byte sniffing for when sharp cannot read the data
+function detectFormat(buf) {
+	if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff)
+		return 'jpeg';
+	if (
+		buf.length >= 8 &&
+		buf[0] === 0x89 &&
+		buf[1] === 0x50 &&
+		buf[2] === 0x4e &&
+		buf[3] === 0x47
+	)
+		return 'png';
+	if (buf.length >= 6 && buf.subarray(0, 3).toString('ascii') === 'GIF')
+		return 'gif';
+	if (
+		buf.length >= 12 &&
+		buf.subarray(0, 4).toString('ascii') === 'RIFF' &&
+		buf.subarray(8, 12).toString('ascii') === 'WEBP'
+	)
+		return 'webp';
+	if (buf.length >= 12 && buf.subarray(4, 8).toString('ascii') === 'ftyp') {
+		const brand = buf.subarray(8, 12).toString('ascii');
+		if (brand === 'avif' || brand === 'avis') return 'avif';
+	}
+	if (buf.length >= 2 && buf.subarray(0, 2).toString('ascii') === 'BM')
+		return 'bmp';
+	if (
+		buf.length >= 4 &&
+		(buf.subarray(0, 4).toString('hex') === '49492a00' ||
+			buf.subarray(0, 4).toString('hex') === '4d4d002a')
+	)
+		return 'tiff';
+	return null;
+}
+
+function encoder(img, format, quality) {
+	switch (format) {
+		case 'webp':
+			return img.webp({ quality });
+		case 'avif':
+			return img.avif({ quality });
+		case 'png':
+			return img.png({ compressionLevel: 9 });
+		case 'gif':
+			return img.gif();
+		case 'tiff':
+			return img.tiff({ quality });
+		default:
+			// JPEG has no alpha: flatten onto white instead of sharp's default black
+			return img.flatten({ background: '#ffffff' }).jpeg({ quality });
+	}
+}
+
+function render(buffer, format, quality, width, height) {
+	let img = sharp(buffer).rotate();
+	if (width && height) {
+		img = img.resize(width, height, {
+			fit: 'inside',
+			withoutEnlargement: true,
+		});
+	}
+	return encoder(img, format, quality).toBuffer({ resolveWithObject: true });
+}
+
+// Encode `buffer` to fit options.maxBytes / options.maxEdge.
+// Resolves to { buffer, format, width, height, quality, encodes }.
+async function resizeToMaxSize(buffer, options = {}) {
+	const {
+		format: wanted,
+		maxBytes,
+		maxEdge,
+	} = { ...DEFAULT_OUTPUT, ...options };
+
+	let meta;
+	try {
+		meta = await sharp(buffer).metadata();
+	} catch (e) {
+		// If sharp fails, keep the original bytes under their real format;
+		// bytes that aren't a known image format are not saved at all
+		const format = detectFormat(buffer);
+		if (!format) throw new Error(`Not a readable image (${e.message})`);
+		console.log(`  Warning: Could not process image with sharp: ${e.message}`);
+		return {
+			buffer,
+			format,
+			width: null,
+			height: null,
+			quality: null,
+			encodes: 0,
+		};
+	}
+
+	const rotated = meta.orientation >= 5;
+	const srcWidth = rotated ? meta.height : meta.width;
+	const srcHeight = rotated ? meta.width : meta.height;
+	const scale =
+		maxEdge > 0 ? Math.min(1, maxEdge / Math.max(srcWidth, srcHeight)) : 1;
+	const width = Math.max(1, Math.floor(srcWidth * scale));
+	const height = Math.max(1, Math.floor(srcHeight * scale));
+
+	let format = wanted;
+	if (wanted === 'original') {
+		// sharp reports AVIF sources as heif
+		const source =
+			meta.format === 'heif' && meta.compression === 'av1'
+				? 'avif'
+				: meta.format;
+		// Keep the source bytes when they already fit and have an extension
+		if (buffer.length <= maxBytes && scale === 1 && EXTENSIONS[source]) {
+			return {
+				buffer,
+				format: source,
+				width,
+				height,
+				quality: null,
+				encodes: 0,
+			};
+		}
+		format = WRITABLE.includes(meta.format) ? meta.format : 'jpeg';
+	}
+
+	// Largest output that fits: full size at MAX_QUALITY, else the highest
+	// quality that fits at full size, else the largest size at SCALE_QUALITY.
+	// Each search is a binary search, so the number of encodes stays bounded.
+	let encodes = 0;
+	const lossy = LOSSY.includes(format);
+	const attempt = async (q, w, h) => {
+		encodes++;
+		const r = await render(buffer, format, q, w, h);
+		return { ...r, quality: lossy ? q : null };
+	};
+	const fits = (r) => r.data.length <= maxBytes;
+
+	let best = await attempt(MAX_QUALITY, width, height);
+	if (!fits(best) && lossy) {
+		const floor = await attempt(MIN_QUALITY, width, height);
+		if (fits(floor)) {
+			best = floor;
+			let lo = MIN_QUALITY + 1;
+			let hi = MAX_QUALITY - 1;
+			while (lo <= hi) {
+				const q = Math.ceil((lo + hi) / 2);
+				const r = await attempt(q, width, height);
+				if (fits(r)) {
+					best = r;
+					lo = q + 1;
+				} else {
+					hi = q - 1;
+				}
+			}
+		} else {
+			best = floor;
+		}
+	}
+
+	if (!fits(best)) {
+		// Binary search the long edge between MIN_EDGE and the current size
+		const srcEdge = Math.max(width, height);
+		const q = lossy ? SCALE_QUALITY : null;
+		const dims = (edge) => [
+			Math.max(1, Math.round((width * edge) / srcEdge)),
+			Math.max(1, Math.round((height * edge) / srcEdge)),
+		];
+		let lo = Math.min(MIN_EDGE, srcEdge);
+		let hi = srcEdge - 1;
+		// The smallest size has to fit; if it doesn't, it is the best effort
+		best = await attempt(q, ...dims(lo));
+		if (fits(best)) {
+			lo++;
+			// Stop once the remaining window is within ~2% of the edge
+			const precision = Math.max(4, Math.round(srcEdge * 0.02));
+			while (hi - lo >= precision && encodes < MAX_ENCODES) {
+				const edge = Math.ceil((lo + hi) / 2);
+				const r = await attempt(q, ...dims(edge));
+				if (fits(r)) {
+					best = r;
+					lo = edge + 1;
+				} else {
+					hi = edge - 1;
+				}
+			}
+		}
+	}
+
+	return {
+		buffer: best.data,
+		format: best.info.format === 'heif' ? 'avif' : best.info.format,
+		width: best.info.width,
+		height: best.info.height,
+		quality: best.quality,
+		encodes,
+	};
+}
+
+// Smaller copies of an image, one per entry in `derivatives`
+async function makeDerivatives(buffer, derivatives, format) {
+	const out = [];
+	const fmt = WRITABLE.includes(format) ? format : 'jpeg';
+	for (const [name, edge] of Object.entries(derivatives || {})) {
+		const r = await render(buffer, fmt, 80, edge, edge);
+		out.push({
+			name,
+			buffer: r.data,
+			format: fmt,
+			width: r.info.width,
+			height: r.info.height,
+		});
+	}
+	return out;
+}
+
+module.exports = {
+	FORMATS,
+	DEFAULT_OUTPUT,
+	IMAGE_EXTENSIONS,
+	extensionFor,
+	parseBytes,
+	parseDerivatives,
+	detectFormat,
+	resizeToMaxSize,
+	makeDerivatives,
+};
@@ -0,0 +1,113 @@
+// Acceptance rules checked before an image is saved: minimum size, aspect
+// ratio, blank/flat images and known "image not available" placeholders.
+// Placeholder lists live in placeholder-hashes.json:
+//   { "sha256": ["<hex of the raw bytes>"], "phash": ["<16-hex dHash>"] }
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { dHash, hammingDistance } = require('./perceptual-hash');
+
+const DEFAULT_PLACEHOLDER_FILE = path.join(
+	__dirname,
+	'placeholder-hashes.json'
+);
+
+const DEFAULT_RULES = {
+	minWidth: 200,
+	minHeight: 200,
+	minAspect: 0.25, // width / height
+	maxAspect: 4,
+	minEntropy: 2, // greyscale entropy in bits; flat fills are close to 0
+	minStdDev: 5, // largest per-channel standard deviation
+	placeholderDistance: 4, // max dHash distance to a known placeholder
+	placeholders: { sha256: [], phash: [] },
+};
+
+function loadPlaceholders(file = DEFAULT_PLACEHOLDER_FILE) {
+	if (!fs.existsSync(file)) return { sha256: [], phash: [] };
+	const js = JSON.parse(fs.readFileSync(file, 'utf-8'));
+	return {
+		sha256: (js.sha256 || []).map((h) => String(h).toLowerCase()),
+		phash: (js.phash || []).map((h) => String(h).toLowerCase()),
+	};
+}
+
+// Resolves to { ok: true, width, height } or { ok: false, reason }
+async function checkImageQuality(buffer, rules = DEFAULT_RULES) {
+	const r = { ...DEFAULT_RULES, ...rules };
+
+	const sha = crypto.createHash('sha256').update(buffer).digest('hex');
+	if (r.placeholders.sha256.includes(sha)) {
+		return { ok: false, reason: 'known placeholder (sha256)' };
+	}
+
+	let meta;
+	let stats;
+	try {
+		const img = sharp(buffer);
+		meta = await img.metadata();
+		stats = await img.stats();
+	} catch (e) {
+		return { ok: false, reason: `not a decodable image (${e.message})` };
+	}
+
+	// EXIF orientations 5-8 swap width and height
+	const rotated = meta.orientation >= 5;
+	const width = rotated ? meta.height : meta.width;
+	const height = rotated ? meta.width : meta.height;
+
+	if (width < r.minWidth || height < r.minHeight) {
+		return {
+			ok: false,
+			reason: `too small (${width}x${height}, min ${r.minWidth}x${r.minHeight})`,
+		};
+	}
+
+	const aspect = width / height;
+	if (aspect < r.minAspect || aspect > r.maxAspect) {
+		return {
+			ok: false,
+			reason: `aspect ratio ${aspect.toFixed(2)} outside ${r.minAspect}-${
+				r.maxAspect
+			}`,
+		};
+	}
+
+	if (stats.entropy < r.minEntropy) {
+		return {
+			ok: false,
+			reason: `blank or flat (entropy ${stats.entropy.toFixed(2)} < ${
+				r.minEntropy
+			})`,
+		};
+	}
+
+	const stdev = Math.max(...stats.channels.map((c) => c.stdev));
+	if (stdev < r.minStdDev) {
+		return {
+			ok: false,
+			reason: `blank or flat (colour deviation ${stdev.toFixed(1)} < ${
+				r.minStdDev
+			})`,
+		};
+	}
+
+	if (r.placeholders.phash.length > 0) {
+		const phash = await dHash(buffer);
+		const hit = r.placeholders.phash.find(
+			(h) => hammingDistance(h, phash) <= r.placeholderDistance
+		);
+		if (hit) return { ok: false, reason: `known placeholder (phash ${hit})` };
+	}
+
+	return { ok: true, width, height };
+}
+
+module.exports = {
+	DEFAULT_RULES,
+	DEFAULT_PLACEHOLDER_FILE,
+	loadPlaceholders,
+	checkImageQuality,
+};
@@ -0,0 +1,341 @@
+// Download -> quality check -> encode -> near-duplicate check -> save, shared by
+// query-downloader.js and duckduckgo-downloader.js so both produce the same
+// files and metadata records.
+// Files are named <query>_NN.<ext> (query with non-alphanumerics replaced by _,
+// at most 50 characters; NN from the caller's nextIndex), with _1, _2... added
+// on a name clash. Files saved outside images-queries/ get a "path" in their
+// record, like the ones file-mover.js moved.
+// With a fallbackUrl (the search engine's thumbnail) the original is tried
+// first and the thumbnail only used when the original can't be fetched or
+// fails the quality gate; the record says which in imageVariant
+// ("original" | "thumbnail") and keeps the original URL as originalUrl.
+// sourceUrl is where the image came from after redirects; when that differs
+// from the URL asked for, the latter is kept as requestUrl.
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+const {
+	DEFAULT_OUTPUT,
+	IMAGE_EXTENSIONS,
+	extensionFor,
+	resizeToMaxSize,
+	makeDerivatives,
+} = require('./image-encoder');
+const { dHash } = require('./perceptual-hash');
+const { DEFAULT_RULES, checkImageQuality } = require('./image-quality');
+const { createLimiter, createHostLimiter } = require('./pool');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, 'images-queries');
+const DERIVATIVES_DIR = 'derivatives'; // <outputDir>/derivatives/<name>/<file>
+const MAX_REDIRECTS = 5;
+const MAX_DOWNLOAD_BYTES = 50 * (1 << 20); // 50MB, far above any usable image
+
+// Index in a saved file name: "Mars_07.jpg" -> 7, "Mars_07_1.jpg" -> 7
+function fileIndex(filename) {
+	return Number((filename.match(/_(\d+)(?:_\d+)?\.\w+$/) || [])[1]) || 0;
+}
+
+// Metadata fields from a search candidate (see search-providers.js): credit
+// and licence details, and the page the image was found on as the search
+// engine showed it (title, source dimensions, domain)
+function candidateFields(candidate) {
+	const out = { provider: candidate.provider };
+	for (const key of ['pageUrl', 'author', 'license', 'licenseUrl']) {
+		if (candidate[key]) out[key] = candidate[key];
+	}
+	if (candidate.title) out.pageTitle = candidate.title;
+	if (candidate.width > 0 && candidate.height > 0) {
+		out.sourceWidth = candidate.width;
+		out.sourceHeight = candidate.height;
+	}
+	let domain = candidate.domain;
+	if (!domain && candidate.pageUrl) {
+		try {
+			domain = new URL(candidate.pageUrl).hostname.replace(/^www\./, '');
+		} catch {}
+	}
+	if (domain) out.sourceDomain = domain;
+	return out;
+}
+
+// nearDuplicates: { index, maxDistance, mode, scope } or null (see perceptual-hash.js)
+function createImageSaver({
+	outputDir = DEFAULT_OUTPUT_DIR,
+	output = DEFAULT_OUTPUT,
+	qualityRules = DEFAULT_RULES,
+	nearDuplicates = null,
+	downloadLimiter = createLimiter(8),
+	hostLimiter = createHostLimiter(2, 250),
+} = {}) {
+	const derivativesDir = path.join(outputDir, DERIVATIVES_DIR);
+	ensureDir(outputDir);
+
+	const fetchChecked = async (url) => {
+		// Global and per-host limits are shared by every query running in parallel
+		const fetched = await downloadLimiter.run(() =>
+			hostLimiter.run(url, () => fetchImage(url))
+		);
+
+		// Reject thumbnails, trackers, blank images and placeholders before saving
+		const quality = await checkImageQuality(fetched.buffer, qualityRules);
+		if (!quality.ok) {
+			console.log(`  ✗ Rejected (${quality.reason}): ${fetched.url}`);
+			throw new Error(quality.reason);
+		}
+		return fetched;
+	};
+
+	// Resolves to the metadata record of the saved file; rejects when the image
+	// can't be fetched or is turned down
+	async function save(imageUrl, { query, category, nextIndex, fallbackUrl }) {
+		let fetched;
+		let variant = 'original';
+		try {
+			fetched = await fetchChecked(imageUrl);
+		} catch (e) {
+			if (!fallbackUrl || fallbackUrl === imageUrl) throw e;
+			console.log(`  ↓ Original failed (${e.message}), using thumbnail`);
+			fetched = await fetchChecked(fallbackUrl);
+			variant = 'thumbnail';
+		}
+		const { buffer, url: finalUrl } = fetched;
+
+		// Encode to the target format within the size budget
+		const encoded = await resizeToMaxSize(buffer, output);
+		const resizedBuffer = encoded.buffer;
+
+		// Perceptual hash to catch the same picture at another size/crop
+		let phash = null;
+		let near = null;
+		if (nearDuplicates) {
+			phash = await dHash(resizedBuffer).catch(() => null);
+			near =
+				phash &&
+				nearDuplicates.index.findNear(
+					phash,
+					nearDuplicates.maxDistance,
+					nearDuplicates.scope === 'query'
+						? (e) => e.query === query && e.category === category
+						: null
+				);
+			if (near && nearDuplicates.mode === 'reject') {
+				console.log(
+					`  ~ Rejected near-duplicate of ${near.path} (distance ${near.distance}): ${finalUrl}`
+				);
+				throw new Error(`Near-duplicate of ${near.path}`);
+			}
+			if (near) {
+				console.log(
+					`  ~ Near-duplicate of ${near.path} (distance ${near.distance}): ${finalUrl}`
+				);
+			}
+		}
+
+		// Generate filename from query with index
+		const safeQuery = query.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50);
+		const filename = `${safeQuery}_${String(nextIndex()).padStart(
+			2,
+			'0'
+		)}${extensionFor(encoded.format)}`;
+		const filePath = path.join(outputDir, filename);
+
+		// Handle duplicate filenames
+		const finalPath = uniquePath(filePath);
+		const finalFilename = path.basename(finalPath);
+
+		fs.writeFileSync(finalPath, resizedBuffer);
+
+		// Smaller copies in <outputDir>/derivatives/<name>/
+		const derivatives = {};
+		for (const d of await makeDerivatives(
+			buffer,
+			output.derivatives,
+			encoded.format
+		)) {
+			const dir = path.join(derivativesDir, d.name);
+			ensureDir(dir);
+			const name =
+				path.basename(finalFilename, path.extname(finalFilename)) +
+				extensionFor(d.format);
+			fs.writeFileSync(path.join(dir, name), d.buffer);
+			derivatives[d.name] = path.posix.join(DERIVATIVES_DIR, d.name, name);
+		}
+
+		if (phash) {
+			await nearDuplicates.index.add({
+				phash,
+				path: path.relative(__dirname, finalPath),
+				query,
+				category,
+			});
+		}
+
+		return {
+			filename: finalFilename,
+			...(path.resolve(outputDir) !== DEFAULT_OUTPUT_DIR
+				? { path: path.relative(__dirname, finalPath) }
+				: {}),
+			query: query,
+			category: category,
+			sourceUrl: finalUrl,
+			...(fallbackUrl ? { imageVariant: variant } : {}),
+			...(variant === 'thumbnail' ? { originalUrl: imageUrl } : {}),
+			...(variant === 'original' && finalUrl !== imageUrl
+				? { requestUrl: imageUrl }
+				: {}),
+			format: encoded.format,
+			width: encoded.width,
+			height: encoded.height,
+			bytes: resizedBuffer.length,
+			...(encoded.quality != null ? { quality: encoded.quality } : {}),
+			encodes: encoded.encodes,
+			...(Object.keys(derivatives).length ? { derivatives } : {}),
+			...(phash ? { phash } : {}),
+			...(near ? { nearDuplicateOf: near.path } : {}),
+		};
+	}
+
+	return { outputDir, save };
+}
+
+// GET an image, following redirects; resolves to { buffer, url } of the final response
+// Resolves to { buffer, url } with url the one finally fetched; gives up after
+// MAX_REDIRECTS redirects or MAX_DOWNLOAD_BYTES of body
+function fetchImage(imageUrl, redirects = 0) {
+	return new Promise((resolve, reject) => {
+		try {
+			const urlObj = new URL(imageUrl);
+			const mod = urlObj.protocol === 'http:' ? http : https;
+
+			const req = mod.get(
+				{
+					hostname: urlObj.hostname,
+					port: urlObj.port || undefined,
+					path: urlObj.pathname + (urlObj.search || ''),
+					protocol: urlObj.protocol,
+					timeout: 30000,
+					headers: {
+						'User-Agent':
+							'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
+						Referer: 'https://duckduckgo.com/',
+						Accept: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
+					},
+				},
+				(res) => {
+					// Handle redirects
+					if (
+						res.statusCode >= 300 &&
+						res.statusCode < 400 &&
+						res.headers.location
+					) {
+						const redirectUrl = new URL(
+							res.headers.location,
+							urlObj
+						).toString();
+						res.resume();
+						if (redirects >= MAX_REDIRECTS) {
+							reject(new Error(`More than ${MAX_REDIRECTS} redirects`));
+							return;
+						}
+						fetchImage(redirectUrl, redirects + 1)
+							.then(resolve)
+							.catch(reject);
+						return;
+					}
+
+					if (res.statusCode !== 200) {
+						res.resume();
+						reject(new Error(`HTTP ${res.statusCode}`));
+						return;
+					}
+
+					const tooLarge = () =>
+						new Error(`Larger than ${MAX_DOWNLOAD_BYTES} bytes`);
+					if (Number(res.headers['content-length']) > MAX_DOWNLOAD_BYTES) {
+						res.destroy();
+						reject(tooLarge());
+						return;
+					}
+
+					const chunks = [];
+					let received = 0;
+					res.on('data', (chunk) => {
+						received += chunk.length;
+						if (received > MAX_DOWNLOAD_BYTES) {
+							req.destroy();
+							reject(tooLarge());
+							return;
+						}
+						chunks.push(chunk);
+					});
+					res.on('end', () =>
+						resolve({ buffer: Buffer.concat(chunks), url: imageUrl })
+					);
+					res.on('error', reject);
+				}
+			);
+
+			req.on('error', reject);
+			req.on('timeout', () => {
+				req.destroy();
+				reject(new Error('Request timeout'));
+			});
+		} catch (e) {
+			reject(e);
+		}
+	});
+}
+
+// Saved images under dir, as paths relative to it: its own files and those in
+// outputSubdir folders, without the derivatives
+function listSavedImages(dir) {
+	const out = [];
+	const walk = (sub) => {
+		for (const d of fs.readdirSync(path.join(dir, sub), {
+			withFileTypes: true,
+		})) {
+			const rel = path.join(sub, d.name);
+			if (d.isDirectory()) {
+				if (d.name !== DERIVATIVES_DIR) walk(rel);
+			} else if (
+				d.isFile() &&
+				IMAGE_EXTENSIONS.includes(path.extname(d.name).toLowerCase())
+			) {
+				out.push(rel);
+			}
+		}
+	};
+	if (fs.existsSync(dir)) walk('');
+	return out;
+}
+
+function ensureDir(dir) {
+	if (!fs.existsSync(dir)) {
+		fs.mkdirSync(dir, { recursive: true });
+	}
+}
+
+function uniquePath(p) {
+	if (!fs.existsSync(p)) return p;
+	const dir = path.dirname(p);
+	const ext = path.extname(p);
+	const name = path.basename(p, ext);
+	let idx = 1;
+	let candidate;
+	do {
+		candidate = path.join(dir, `${name}_${idx}${ext}`);
+		idx++;
+	} while (fs.existsSync(candidate));
+	return candidate;
+}
+
+module.exports = {
+	DEFAULT_OUTPUT_DIR,
+	candidateFields,
+	createImageSaver,
+	fetchImage,
+	fileIndex,
+	listSavedImages,
+};
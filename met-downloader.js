@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Single entry point for the downloader tools
+// Resolves a subcommand's options (see config.js: met-downloader.config.json,
+// MET_* environment variables, flags) and runs its script with them.
+//
+// Usage: met-downloader <query|ddg|commons|upload|verify|credits|move|queries> [options]
+//        met-downloader <command> --help
+
+const { spawn } = require('child_process');
+const path = require('path');
+const { COMMANDS, resolveOptions, toScriptArgs, usage } = require('./config');
+
+function main() {
+	const [command, ...argv] = process.argv.slice(2);
+	if (!command || command === '--help' || command === '-h') {
+		console.log(usage());
+		return;
+	}
+	if (!COMMANDS[command]) {
+		console.error(`Error: Unknown command "${command}"`);
+		console.log(usage());
+		process.exitCode = 1;
+		return;
+	}
+
+	const { values, positional, help } = resolveOptions(command, argv);
+	if (help) {
+		console.log(usage(command));
+		return;
+	}
+
+	const script = path.join(__dirname, COMMANDS[command].script);
+	const child = spawn(
+		process.execPath,
+		[script, ...positional, ...toScriptArgs(command, values)],
+		{ stdio: 'inherit' }
+	);
+	// Ctrl+C reaches the child directly; just report how it ended
+	process.on('SIGINT', () => {});
+	child.on('exit', (code, signal) => {
+		process.exitCode = signal ? 1 : code;
+	});
+	child.on('error', (err) => {
+		console.error('Error:', err.message);
+		process.exitCode = 1;
+	});
+}
+
+if (require.main === module) {
+	try {
+		main();
+	} catch (err) {
+		console.error('Error:', err.message || err);
+		process.exitCode = 1;
+	}
+}
+
+module.exports = { main };
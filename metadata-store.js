@@ -0,0 +1,294 @@
+// Crash-safe metadata store for query-downloader.js
+// - image-metadata.ndjson is an append-only journal and the source of truth;
+//   every append is fsynced, so an interrupted run loses at most the line being
+//   written, and a truncated last line is dropped on the next start.
+// - Compaction rewrites the journal (one record per file, last wins) and
+//   exports image-metadata.json for readers, both via temp file + rename.
+//   A file is identified by its path (recordPath), so images with the same
+//   name in different folders keep their own records; a record with
+//   movedFrom (file-mover.js) replaces the one at that path.
+// - On first use an existing image-metadata.json is imported into the journal.
+// - Other processes (file-mover.js, a second downloader) may append to the
+//   journal while a store is open; their records are picked up before each
+//   append and compaction. Appends and compactions hold image-metadata.ndjson.lock,
+//   and a journal replaced by another process's compaction is read again.
+//   Waiting for the lock doesn't block: opening, append, compact and close
+//   return promises.
+//
+// Usage: node metadata-store.js migrate|compact
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_JOURNAL_FILE = path.join(__dirname, 'image-metadata.ndjson');
+const DEFAULT_SNAPSHOT_FILE = path.join(__dirname, 'image-metadata.json');
+const COMPACT_EVERY = 500; // appended records between compactions
+const LOCK_STALE_MS = 30000; // a lock this old was left by a crashed process
+const LOCK_TIMEOUT_MS = 60000;
+const LOCK_RETRY_MS = [10, 250]; // first and longest wait between tries
+
+const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function writeFileAtomic(file, data) {
+	const tmp = `${file}.tmp-${process.pid}`;
+	const fd = fs.openSync(tmp, 'w');
+	try {
+		fs.writeSync(fd, data);
+		fs.fsyncSync(fd);
+	} finally {
+		fs.closeSync(fd);
+	}
+	fs.renameSync(tmp, file);
+}
+
+// Run fn holding <journal>.lock, so no record is appended to a journal that
+// another process is about to replace; resolves to fn's result. The other
+// NDJSON files that file-mover.js rewrites are appended to under it as well.
+async function withLock(journal, fn) {
+	const lockFile = `${journal}.lock`;
+	const started = Date.now();
+	let wait = LOCK_RETRY_MS[0];
+	for (;;) {
+		try {
+			fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+			break;
+		} catch (e) {
+			if (e.code !== 'EEXIST') throw e;
+		}
+		try {
+			if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+				console.warn(`Removing stale lock ${lockFile}`);
+				fs.unlinkSync(lockFile);
+				continue;
+			}
+		} catch {}
+		if (Date.now() - started > LOCK_TIMEOUT_MS) {
+			throw new Error(`Timed out waiting for ${lockFile}`);
+		}
+		await delay(wait);
+		wait = Math.min(wait * 2, LOCK_RETRY_MS[1]);
+	}
+	try {
+		return await fn();
+	} finally {
+		try {
+			fs.unlinkSync(lockFile);
+		} catch {}
+	}
+}
+
+function readSnapshot(file) {
+	const txt = fs.readFileSync(file, 'utf-8');
+	try {
+		const data = JSON.parse(txt);
+		if (!Array.isArray(data)) throw new Error('not an array');
+		return data;
+	} catch (e) {
+		throw new Error(
+			`${file} is not valid metadata (${e.message}); fix or move it away before running again`
+		);
+	}
+}
+
+// Parse journal text. A bad last line without a trailing newline is a write
+// that was cut off and is dropped; a bad line anywhere else is an error.
+function parseJournal(txt, file) {
+	const records = [];
+	let goodBytes = 0;
+	let truncated = false;
+	let pos = 0;
+	while (pos < txt.length) {
+		const nl = txt.indexOf('\n', pos);
+		const end = nl === -1 ? txt.length : nl + 1;
+		const line = txt.slice(pos, end).trim();
+		if (line) {
+			try {
+				records.push(JSON.parse(line));
+			} catch (e) {
+				if (nl !== -1) {
+					const lineNo = txt.slice(0, pos).split('\n').length;
+					throw new Error(`${file}:${lineNo} is corrupt (${e.message})`);
+				}
+				truncated = true;
+				break;
+			}
+		}
+		goodBytes += Buffer.byteLength(txt.slice(pos, end));
+		pos = end;
+	}
+	return { records, goodBytes, truncated };
+}
+
+// Where a record's file is, relative to the project: its "path" when it was
+// saved or moved outside images-queries/, else images-queries/<filename>
+function recordPath(r) {
+	return path.normalize(r.path || path.join('images-queries', r.filename));
+}
+
+// Latest record per file
+function indexByPath(records, byPath = new Map()) {
+	for (const r of records) {
+		const { movedFrom, ...record } = r;
+		if (movedFrom) byPath.delete(path.normalize(movedFrom));
+		const key = recordPath(record);
+		if (byPath.has(key)) byPath.delete(key);
+		byPath.set(key, record);
+	}
+	return byPath;
+}
+
+// Read-only view for other tools: journal if present, else the JSON snapshot
+function readMetadata({
+	journal = DEFAULT_JOURNAL_FILE,
+	snapshot = DEFAULT_SNAPSHOT_FILE,
+} = {}) {
+	if (fs.existsSync(journal)) {
+		const { records } = parseJournal(
+			fs.readFileSync(journal, 'utf-8'),
+			journal
+		);
+		return Array.from(indexByPath(records).values());
+	}
+	if (fs.existsSync(snapshot)) return readSnapshot(snapshot);
+	return [];
+}
+
+async function openMetadataStore({
+	journal = DEFAULT_JOURNAL_FILE,
+	snapshot = DEFAULT_SNAPSHOT_FILE,
+	compactEvery = COMPACT_EVERY,
+} = {}) {
+	let byPath = new Map();
+	// The journal file (inode) and how many of its bytes are indexed; anything
+	// past them was appended by others, another inode means it was compacted
+	let knownIno = null;
+	let knownBytes = 0;
+
+	await withLock(journal, () => {
+		if (!fs.existsSync(journal) && fs.existsSync(snapshot)) {
+			const imported = readSnapshot(snapshot);
+			writeFileAtomic(
+				journal,
+				imported.map((r) => JSON.stringify(r) + '\n').join('')
+			);
+			console.log(
+				`Imported ${imported.length} entries from ${snapshot} into ${journal}`
+			);
+		}
+		if (!fs.existsSync(journal)) return;
+		const txt = fs.readFileSync(journal, 'utf-8');
+		const parsed = parseJournal(txt, journal);
+		if (parsed.truncated) {
+			console.warn(`Dropping truncated last line of ${journal}`);
+			fs.truncateSync(journal, parsed.goodBytes);
+		} else if (txt.length > 0 && !txt.endsWith('\n')) {
+			// complete record whose newline never made it to disk
+			fs.appendFileSync(journal, '\n');
+		}
+		byPath = indexByPath(parsed.records);
+		const st = fs.statSync(journal);
+		knownIno = st.ino;
+		knownBytes = st.size;
+	});
+
+	let sinceCompaction = 0;
+
+	const catchUp = () => {
+		if (!fs.existsSync(journal)) return;
+		const st = fs.statSync(journal);
+		const replaced = st.ino !== knownIno || st.size < knownBytes;
+		const from = replaced ? 0 : knownBytes;
+		if (st.size <= from) return;
+		const buf = Buffer.alloc(st.size - from);
+		const fd = fs.openSync(journal, 'r');
+		try {
+			fs.readSync(fd, buf, 0, buf.length, from);
+		} finally {
+			fs.closeSync(fd);
+		}
+		// Complete lines only; a line still being written is read next time
+		const end = buf.lastIndexOf(0x0a) + 1;
+		const { records } = parseJournal(
+			buf.subarray(0, end).toString('utf-8'),
+			journal
+		);
+		// A compacted journal holds every record, ours included
+		byPath = indexByPath(records, replaced ? new Map() : byPath);
+		knownIno = st.ino;
+		knownBytes = from + end;
+	};
+
+	const store = {
+		get records() {
+			return Array.from(byPath.values());
+		},
+		async append(newRecords) {
+			if (newRecords.length === 0) return;
+			await withLock(journal, () => {
+				const fd = fs.openSync(journal, 'a');
+				try {
+					fs.writeSync(
+						fd,
+						newRecords.map((r) => JSON.stringify(r) + '\n').join('')
+					);
+					fs.fsyncSync(fd);
+				} finally {
+					fs.closeSync(fd);
+				}
+			});
+			indexByPath(newRecords, byPath);
+			// Re-reads our own lines too, so records end up in journal order
+			catchUp();
+			sinceCompaction += newRecords.length;
+			if (compactEvery > 0 && sinceCompaction >= compactEvery) {
+				await store.compact();
+			}
+		},
+		async compact() {
+			await withLock(journal, () => {
+				catchUp();
+				const records = store.records;
+				const data = records.map((r) => JSON.stringify(r) + '\n').join('');
+				writeFileAtomic(journal, data);
+				writeFileAtomic(snapshot, JSON.stringify(records, null, 2));
+				knownIno = fs.statSync(journal).ino;
+				knownBytes = Buffer.byteLength(data);
+			});
+			sinceCompaction = 0;
+		},
+		close() {
+			return store.compact();
+		},
+	};
+	return store;
+}
+
+async function main() {
+	const command = process.argv[2];
+	if (command !== 'migrate' && command !== 'compact') {
+		console.log('Usage: node metadata-store.js migrate|compact');
+		process.exitCode = 1;
+		return;
+	}
+	// Opening imports image-metadata.json when there is no journal yet
+	const store = await openMetadataStore({ compactEvery: 0 });
+	if (command === 'compact') await store.compact();
+	console.log(`${store.records.length} entries in ${DEFAULT_JOURNAL_FILE}`);
+}
+
+if (require.main === module) {
+	main().catch((err) => {
+		console.error('Error:', err.message || err);
+		process.exitCode = 1;
+	});
+}
+
+module.exports = {
+	DEFAULT_JOURNAL_FILE,
+	DEFAULT_SNAPSHOT_FILE,
+	recordPath,
+	withLock,
+	writeFileAtomic,
+	readMetadata,
+	openMetadataStore,
+};
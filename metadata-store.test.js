@@ -0,0 +1,80 @@
+// node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openMetadataStore } = require('./metadata-store');
+
+const tmpFiles = () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-store-'));
+	return {
+		journal: path.join(dir, 'image-metadata.ndjson'),
+		snapshot: path.join(dir, 'image-metadata.json'),
+		compactEvery: 0,
+	};
+};
+
+test('records survive another process compacting the journal', async () => {
+	const files = tmpFiles();
+	const a = await openMetadataStore(files);
+	const b = await openMetadataStore(files);
+	// Updates of one file shrink the journal when it is compacted
+	for (let v = 0; v < 5; v++) await a.append([{ filename: 'a1.jpg', v }]);
+	await a.append([{ filename: 'a2.jpg' }]);
+	// b rewrites the journal while a still holds an offset into the old one
+	await b.compact();
+	await b.append([{ filename: 'b1.jpg' }]);
+	await a.append([{ filename: 'a3.jpg' }]);
+	await b.append([{ filename: 'b2.jpg' }]);
+	await a.compact();
+
+	const names = (store) => store.records.map((r) => r.filename).sort();
+	const all = ['a1.jpg', 'a2.jpg', 'a3.jpg', 'b1.jpg', 'b2.jpg'];
+	assert.deepStrictEqual(names(a), all);
+	assert.deepStrictEqual(names(await openMetadataStore(files)), all);
+	assert.ok(!fs.existsSync(`${files.journal}.lock`));
+});
+
+test('files with the same name in different folders keep their records', async () => {
+	const files = tmpFiles();
+	const store = await openMetadataStore(files);
+	await store.append([
+		{ filename: 'Mars_01.jpg', query: 'Mars' },
+		{ filename: 'Mars_01.jpg', path: 'deep/Mars_01.jpg', query: 'Mars' },
+	]);
+	// file-mover.js moves the first one
+	await store.append([
+		{
+			filename: 'Mars_01.jpg',
+			path: 'moved/Mars_01.jpg',
+			movedFrom: 'images-queries/Mars_01.jpg',
+		},
+	]);
+	await store.compact();
+
+	const paths = (await openMetadataStore(files)).records
+		.map((r) => r.path)
+		.sort();
+	assert.deepStrictEqual(paths, ['deep/Mars_01.jpg', 'moved/Mars_01.jpg']);
+});
+
+test('waiting for the lock does not block the process', async () => {
+	const files = tmpFiles();
+	const store = await openMetadataStore(files);
+	// another process holds the lock
+	fs.writeFileSync(`${files.journal}.lock`, '1');
+	let ticks = 0;
+	const timer = setInterval(() => ticks++, 5);
+	const appended = store.append([{ filename: 'Mars_01.jpg' }]);
+	await new Promise((r) => setTimeout(r, 100));
+	fs.unlinkSync(`${files.journal}.lock`);
+	await appended;
+	clearInterval(timer);
+
+	assert.ok(ticks >= 5, `timers ran ${ticks} times while waiting`);
+	assert.deepStrictEqual(
+		store.records.map((r) => r.filename),
+		['Mars_01.jpg']
+	);
+});
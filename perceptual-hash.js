@@ -0,0 +1,199 @@
+// Perceptual-hash (dHash) near-duplicate detection shared by the downloaders.
+// Hashes are 64-bit difference hashes (16 hex chars) computed with sharp and
+// kept in .phash-index.ndjson, one { phash, path, query?, category? } per line.
+//
+// Usage: node perceptual-hash.js scan [--distance 6] [--index .phash-index.ndjson] <dir>...
+//   Hashes every image in <dir> not yet in the index, then prints
+//   near-duplicate pairs found across the whole index.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { IMAGE_EXTENSIONS } = require('./image-encoder');
+const { withLock } = require('./metadata-store');
+
+const DEFAULT_INDEX_FILE = path.join(__dirname, '.phash-index.ndjson');
+const DEFAULT_MAX_DISTANCE = 6;
+
+// 9x8 greyscale, one bit per horizontally adjacent pair
+async function dHash(input) {
+	const px = await sharp(input)
+		.rotate()
+		.greyscale()
+		.resize(9, 8, { fit: 'fill' })
+		.raw()
+		.toBuffer();
+	let hi = 0;
+	let lo = 0;
+	for (let y = 0; y < 8; y++) {
+		for (let x = 0; x < 8; x++) {
+			const bit = px[y * 9 + x] < px[y * 9 + x + 1] ? 1 : 0;
+			const n = y * 8 + x;
+			if (n < 32) hi = (hi << 1) | bit;
+			else lo = (lo << 1) | bit;
+		}
+	}
+	return (
+		(hi >>> 0).toString(16).padStart(8, '0') +
+		(lo >>> 0).toString(16).padStart(8, '0')
+	);
+}
+
+function splitHash(hex) {
+	return [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)];
+}
+
+function popcount32(n) {
+	n = n - ((n >>> 1) & 0x55555555);
+	n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+	return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function hammingDistance(a, b) {
+	const [ahi, alo] = splitHash(a);
+	const [bhi, blo] = splitHash(b);
+	return popcount32((ahi ^ bhi) >>> 0) + popcount32((alo ^ blo) >>> 0);
+}
+
+// In-memory copy of the index file; add() records the entry in memory at once
+// so concurrent workers see each other's reservations immediately, then
+// appends it to the file under the file's lock (see file-mover.js).
+function createPhashIndex(file = DEFAULT_INDEX_FILE) {
+	const entries = [];
+	const paths = new Set();
+
+	if (fs.existsSync(file)) {
+		for (const line of fs.readFileSync(file, 'utf-8').split(/\r?\n/)) {
+			if (!line.trim()) continue;
+			try {
+				const r = JSON.parse(line);
+				if (/^[0-9a-f]{16}$/.test(r.phash) && r.path) {
+					entries.push({ ...r, bits: splitHash(r.phash) });
+					paths.add(r.path);
+				}
+			} catch {}
+		}
+	}
+
+	return {
+		file,
+		size() {
+			return entries.length;
+		},
+		has(p) {
+			return paths.has(p);
+		},
+		// Closest entry within maxDistance, optionally restricted by filter(entry)
+		findNear(phash, maxDistance = DEFAULT_MAX_DISTANCE, filter = null) {
+			const [hi, lo] = splitHash(phash);
+			let best = null;
+			for (const e of entries) {
+				if (filter && !filter(e)) continue;
+				const d =
+					popcount32((hi ^ e.bits[0]) >>> 0) +
+					popcount32((lo ^ e.bits[1]) >>> 0);
+				if (d <= maxDistance && (!best || d < best.distance)) {
+					best = { path: e.path, phash: e.phash, distance: d };
+					if (d === 0) break;
+				}
+			}
+			return best;
+		},
+		add(record) {
+			entries.push({ ...record, bits: splitHash(record.phash) });
+			paths.add(record.path);
+			return withLock(file, () =>
+				fs.appendFileSync(file, JSON.stringify(record) + '\n')
+			);
+		},
+		entries() {
+			return entries.map(({ bits, ...r }) => r);
+		},
+	};
+}
+
+// ---- CLI ----
+
+function parseArgs() {
+	const args = process.argv.slice(2);
+	const options = { command: args[0], dirs: [] };
+
+	for (let i = 1; i < args.length; i++) {
+		if (args[i] === '--distance' && args[i + 1]) {
+			options.distance = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--index' && args[i + 1]) {
+			options.index = args[i + 1];
+			i++;
+		} else {
+			options.dirs.push(args[i]);
+		}
+	}
+
+	return options;
+}
+
+async function main() {
+	const options = parseArgs();
+	if (options.command !== 'scan' || options.dirs.length === 0) {
+		console.log(
+			'Usage: node perceptual-hash.js scan [--distance 6] [--index file] <dir>...'
+		);
+		process.exitCode = 1;
+		return;
+	}
+	const maxDistance = Number.isFinite(options.distance)
+		? options.distance
+		: DEFAULT_MAX_DISTANCE;
+	const index = createPhashIndex(options.index || DEFAULT_INDEX_FILE);
+	console.log(`Loaded ${index.size()} hash(es) from ${index.file}`);
+
+	let added = 0;
+	for (const dir of options.dirs) {
+		const files = fs
+			.readdirSync(dir)
+			.filter((f) => IMAGE_EXTENSIONS.includes(path.extname(f).toLowerCase()));
+		for (const f of files) {
+			const p = path.join(dir, f);
+			if (index.has(p)) continue;
+			try {
+				await index.add({ phash: await dHash(p), path: p });
+				added++;
+			} catch (e) {
+				console.warn(`  Could not hash ${p}: ${e.message}`);
+			}
+		}
+	}
+	console.log(`Hashed ${added} new image(s)`);
+
+	const all = index.entries().map((e) => ({ ...e, bits: splitHash(e.phash) }));
+	let pairs = 0;
+	for (let i = 0; i < all.length; i++) {
+		const [hi, lo] = all[i].bits;
+		for (let j = i + 1; j < all.length; j++) {
+			const d =
+				popcount32((hi ^ all[j].bits[0]) >>> 0) +
+				popcount32((lo ^ all[j].bits[1]) >>> 0);
+			if (d <= maxDistance) {
+				console.log(`  ${all[i].path} ≈ ${all[j].path} (distance ${d})`);
+				pairs++;
+			}
+		}
+	}
+	console.log(`${pairs} near-duplicate pair(s) within distance ${maxDistance}`);
+}
+
+if (require.main === module) {
+	main().catch((err) => {
+		console.error('Error:', err.stack || err);
+		process.exitCode = 1;
+	});
+}
+
+module.exports = {
+	DEFAULT_INDEX_FILE,
+	DEFAULT_MAX_DISTANCE,
+	dHash,
+	hammingDistance,
+	createPhashIndex,
+};
@@ -0,0 +1,137 @@
+// Bounded-concurrency helpers shared by the downloaders.
+
+async function runPool(items, worker, conc) {
+	const q = [...items];
+	const running = new Set();
+	while (q.length > 0 || running.size > 0) {
+		while (q.length > 0 && running.size < conc) {
+			const it = q.shift();
+			const p = (async () => {
+				await worker(it);
+			})().finally(() => running.delete(p));
+			running.add(p);
+		}
+		if (running.size > 0) await Promise.race(running);
+	}
+}
+
+function createQuota(limit, initialSaved = 0) {
+	if (!isFinite(limit) || limit <= 0) {
+		return {
+			take() {
+				// unlimited: always allow; return a no-op token
+				return { commit() {}, release() {} };
+			},
+			async acquire() {
+				return { commit() {}, release() {} };
+			},
+			left() {
+				return Infinity;
+			},
+		};
+	}
+	let remaining = Math.max(0, limit - (initialSaved || 0));
+	// Tokens taken but not yet committed or released, and acquire() calls
+	// waiting for one of them to come back
+	let pending = 0;
+	const waiters = [];
+	const wake = () => {
+		while (waiters.length > 0 && (remaining > 0 || pending === 0)) {
+			waiters.shift()(quota.take());
+		}
+	};
+	const quota = {
+		take() {
+			if (remaining <= 0) return null;
+			remaining--;
+			pending++;
+			let done = false;
+			return {
+				commit() {
+					if (done) return;
+					done = true;
+					pending--;
+					wake();
+				},
+				release() {
+					if (done) return;
+					done = true;
+					pending--;
+					remaining++;
+					wake();
+				},
+			};
+		},
+		// Like take(), but while tokens are still out it waits for one to be
+		// released instead of giving up; null once the quota is committed
+		acquire() {
+			const token = quota.take();
+			if (token || pending === 0) return Promise.resolve(token);
+			return new Promise((resolve) => waiters.push(resolve));
+		},
+		left() {
+			return remaining;
+		},
+	};
+	return quota;
+}
+
+// Semaphore: at most `conc` calls of run(fn) in flight, the rest wait in FIFO order
+function createLimiter(conc) {
+	let active = 0;
+	const waiting = [];
+	const next = () => {
+		if (active >= conc || waiting.length === 0) return;
+		active++;
+		waiting.shift()();
+	};
+	return {
+		async run(fn) {
+			await new Promise((resolve) => {
+				waiting.push(resolve);
+				next();
+			});
+			try {
+				return await fn();
+			} finally {
+				active--;
+				next();
+			}
+		},
+	};
+}
+
+// Per-host politeness: at most `perHost` requests in flight to one hostname and
+// at least `minIntervalMs` between the starts of two requests to it.
+function createHostLimiter(perHost, minIntervalMs = 0) {
+	const hosts = new Map();
+	const hostOf = (url) => {
+		try {
+			return new URL(url).hostname;
+		} catch {
+			return '';
+		}
+	};
+	return {
+		async run(url, fn) {
+			const host = hostOf(url);
+			let h = hosts.get(host);
+			if (!h) {
+				h = { limiter: createLimiter(perHost), lastStart: 0 };
+				hosts.set(host, h);
+			}
+			return h.limiter.run(async () => {
+				const wait = h.lastStart + minIntervalMs - Date.now();
+				if (wait > 0) {
+					h.lastStart += minIntervalMs;
+					await new Promise((r) => setTimeout(r, wait));
+				} else {
+					h.lastStart = Date.now();
+				}
+				return fn();
+			});
+		},
+	};
+}
+
+module.exports = { runPool, createQuota, createLimiter, createHostLimiter };
@@ -0,0 +1,49 @@
+// node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { runPool, createQuota } = require('./pool');
+
+const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test('quota fills up when some candidates fail', async () => {
+	// 16 candidates, 7 of the first ones fail slowly, 8 wanted
+	const candidates = Array.from({ length: 16 }, (_, i) => ({
+		i,
+		fails: i >= 1 && i <= 7,
+	}));
+	const quota = createQuota(8);
+	const saved = [];
+	await runPool(
+		candidates,
+		async (c) => {
+			const token = await quota.acquire();
+			if (!token) return;
+			await delay(c.fails ? 20 : 1);
+			if (c.fails) {
+				token.release();
+				return;
+			}
+			saved.push(c.i);
+			token.commit();
+		},
+		8
+	);
+	assert.strictEqual(saved.length, 8);
+});
+
+test('acquire resolves to null once the quota is committed', async () => {
+	const quota = createQuota(1);
+	const token = quota.take();
+	const waiting = quota.acquire();
+	token.commit();
+	assert.strictEqual(await waiting, null);
+});
+
+test('acquire hands a released token to the next waiter', async () => {
+	const quota = createQuota(1);
+	const token = quota.take();
+	const waiting = quota.acquire();
+	token.release();
+	assert.ok(await waiting);
+	assert.strictEqual(quota.left(), 0);
+});
@@ -0,0 +1,321 @@
+// Reads and checks queries.json, the search queries for query-downloader.js
+// Version 1 (still read) maps each category to a list of query strings.
+// Version 2 lets a query carry its own settings and a category set defaults:
+//   { "version": 2, "categories": {
+//       "planets": {
+//         "defaults": { "template": "{q} planet NASA photo" },
+//         "queries": ["Mercury", { "q": "Earth", "synonyms": ["Blue Marble"] }] },
+//       "mythology": {
+//         "defaults": { "count": 4, "tags": ["myth"] },
+//         "queries": ["Zeus", { "q": "Thor", "count": 12, "negativeTerms": ["marvel"],
+//           "provider": "commons", "filters": { "type": "photo" },
+//           "outputSubdir": "norse", "tags": ["norse"] }] } } }
+// Query settings (every one optional except q; a plain string is { "q": ... }):
+//   q              search text, also the name images and metadata are stored under
+//   count          images wanted (default 8)
+//   negativeTerms  words left out of the results, searched as "-word"
+//   provider       search provider(s) (see search-providers.js)
+//   filters        DDG image filters (see normalizeFilters in search-providers.js)
+//   outputSubdir   save under images-queries/<outputSubdir>/
+//   tags           labels copied into each image's metadata record
+//   template       search text around the query, "{q} painting high resolution";
+//                  a list runs one search per template
+//   synonyms       other names searched as well (query only, not in defaults)
+// Every name (q and its synonyms) is searched with every template and the
+// results are merged; images are still stored under q.
+// A query's own settings win over its category's defaults; negativeTerms and
+// tags are combined and filters merged key by key.
+//
+// Usage: node queries-file.js [--file queries.json]
+//   reports unknown keys, invalid settings and queries listed more than once;
+//   exits with 1 when it finds any
+
+const fs = require('fs');
+const path = require('path');
+const {
+	normalizeFilters,
+	resolveProviderNames,
+} = require('./search-providers');
+
+const DEFAULT_QUERIES_FILE = path.join(__dirname, 'queries.json');
+const DEFAULT_COUNT = 8;
+
+// Checks per setting; each returns an error message or null
+const isTerms = (v) =>
+	Array.isArray(v) && v.every((t) => typeof t === 'string' && t.trim())
+		? null
+		: 'must be a list of non-empty strings';
+const SETTINGS = {
+	count: (v) =>
+		Number.isInteger(v) && v > 0 ? null : 'must be a positive integer',
+	negativeTerms: isTerms,
+	provider: (v) => {
+		if (typeof v !== 'string') return 'must be a string';
+		try {
+			resolveProviderNames(v);
+			return null;
+		} catch (e) {
+			return e.message.replace(/^Unknown provider\(s\): /, 'has unknown ');
+		}
+	},
+	filters: (v) => {
+		if (!v || typeof v !== 'object' || Array.isArray(v)) {
+			return 'must be an object';
+		}
+		try {
+			normalizeFilters(v);
+			return null;
+		} catch (e) {
+			return e.message.replace(/^filters: /, '');
+		}
+	},
+	outputSubdir: (v) =>
+		typeof v === 'string' &&
+		v.trim() &&
+		!path.isAbsolute(v) &&
+		!v.split(/[\\/]/).includes('..')
+			? null
+			: 'must be a relative path inside images-queries/',
+	tags: isTerms,
+	template: (v) =>
+		[].concat(v).length > 0 &&
+		[].concat(v).every((t) => typeof t === 'string' && t.includes('{q}'))
+			? null
+			: 'must be a string containing {q}, or a list of them',
+	synonyms: isTerms,
+};
+
+// Problems in a parsed queries file: { errors, warnings }. Errors make the
+// file unusable; unknown keys and repeated queries are warnings.
+function validateQueries(data) {
+	const errors = [];
+	const warnings = [];
+	const categories = categoriesOf(data, errors, warnings);
+	const seen = new Map();
+
+	const checkSettings = (obj, where, allowed) => {
+		for (const [key, value] of Object.entries(obj)) {
+			if (key === 'q' && allowed.includes('q')) continue;
+			if (!SETTINGS[key]) {
+				warnings.push(`${where}: unknown key "${key}"`);
+				continue;
+			}
+			if (!allowed.includes(key)) {
+				errors.push(`${where}: ${key} can only be set on a query`);
+				continue;
+			}
+			const problem = SETTINGS[key](value);
+			if (problem) errors.push(`${where}: ${key} ${problem}`);
+		}
+	};
+
+	for (const [category, value] of Object.entries(categories)) {
+		let queries = value;
+		if (!Array.isArray(value)) {
+			if (
+				!value ||
+				typeof value !== 'object' ||
+				!Array.isArray(value.queries)
+			) {
+				errors.push(
+					`${category}: must be a list of queries or { defaults, queries }`
+				);
+				continue;
+			}
+			for (const key of Object.keys(value)) {
+				if (key !== 'defaults' && key !== 'queries') {
+					warnings.push(`${category}: unknown key "${key}"`);
+				}
+			}
+			if (value.defaults !== undefined) {
+				if (
+					!value.defaults ||
+					typeof value.defaults !== 'object' ||
+					Array.isArray(value.defaults)
+				) {
+					errors.push(`${category}: defaults must be an object`);
+				} else {
+					checkSettings(
+						value.defaults,
+						`${category} defaults`,
+						Object.keys(SETTINGS).filter((key) => key !== 'synonyms')
+					);
+				}
+			}
+			queries = value.queries;
+		}
+
+		queries.forEach((query, i) => {
+			const where = `${category}[${i}]`;
+			const q = typeof query === 'string' ? query : query && query.q;
+			if (typeof q !== 'string' || !q.trim()) {
+				errors.push(`${where}: must be a string or an object with "q"`);
+				return;
+			}
+			if (typeof query === 'object') {
+				checkSettings(query, `${where} "${q}"`, [
+					'q',
+					...Object.keys(SETTINGS),
+				]);
+			}
+			const earlier = seen.get(q.trim().toLowerCase());
+			if (earlier) {
+				warnings.push(`${where}: "${q}" is also listed in ${earlier}`);
+			} else {
+				seen.set(q.trim().toLowerCase(), category);
+			}
+		});
+	}
+
+	return { errors, warnings };
+}
+
+// The category map of either version
+function categoriesOf(data, errors = [], warnings = []) {
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		errors.push('queries file must be a JSON object');
+		return {};
+	}
+	if (data.version === undefined) return data;
+	if (data.version !== 2) {
+		errors.push(`unsupported version ${JSON.stringify(data.version)}`);
+		return {};
+	}
+	for (const key of Object.keys(data)) {
+		if (key !== 'version' && key !== 'categories') {
+			warnings.push(`unknown key "${key}"`);
+		}
+	}
+	if (!data.categories || typeof data.categories !== 'object') {
+		errors.push('"categories" must be an object');
+		return {};
+	}
+	return data.categories;
+}
+
+// A category's query list, [] when it has none
+function queriesOf(value) {
+	const queries = Array.isArray(value) ? value : value && value.queries;
+	return Array.isArray(queries) ? queries : [];
+}
+
+// One entry per query with its category's defaults applied:
+// { category, query, count, negativeTerms?, provider?, filters?, outputSubdir?,
+//   tags?, templates?, synonyms? }
+function expandCategory(category, value) {
+	const defaults = (!Array.isArray(value) && value.defaults) || {};
+	return queriesOf(value).map((query) => {
+		const own = typeof query === 'string' ? { q: query } : query;
+		const entry = {
+			category,
+			query: own.q.trim(),
+			count: own.count ?? defaults.count ?? DEFAULT_COUNT,
+		};
+		for (const key of ['provider', 'outputSubdir']) {
+			const v = own[key] ?? defaults[key];
+			if (v !== undefined) entry[key] = v;
+		}
+		const template = own.template ?? defaults.template;
+		if (template !== undefined) entry.templates = [].concat(template);
+		if (own.synonyms && own.synonyms.length) entry.synonyms = own.synonyms;
+		for (const key of ['negativeTerms', 'tags']) {
+			const v = [...new Set([...(defaults[key] || []), ...(own[key] || [])])];
+			if (v.length) entry[key] = v;
+		}
+		const filters = normalizeFilters({ ...defaults.filters, ...own.filters });
+		if (Object.keys(filters).length) entry.filters = filters;
+		return entry;
+	});
+}
+
+// Reads a queries file: { categories: { <name>: entries }, warnings };
+// throws listing every error when the file can't be used
+function readQueries(file = DEFAULT_QUERIES_FILE) {
+	const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+	const { errors, warnings } = validateQueries(data);
+	if (errors.length) {
+		throw new Error(`${file}:\n  ${errors.join('\n  ')}`);
+	}
+	const categories = {};
+	for (const [category, value] of Object.entries(categoriesOf(data))) {
+		categories[category] = expandCategory(category, value);
+	}
+	return { categories, warnings };
+}
+
+// What is sent to the search provider, one search per name and template:
+// ["Thor mythology -marvel -\"comic book\"", "Donar mythology -marvel ..."]
+function searchTexts(entry) {
+	const negative = (entry.negativeTerms || []).map((t) =>
+		/\s/.test(t) ? `-"${t}"` : `-${t}`
+	);
+	const texts = [];
+	for (const name of [entry.query, ...(entry.synonyms || [])]) {
+		for (const template of entry.templates || ['{q}']) {
+			texts.push(
+				[template.replace(/\{q\}/g, name).trim(), ...negative].join(' ')
+			);
+		}
+	}
+	return [...new Set(texts)];
+}
+
+function parseArgs() {
+	const args = process.argv.slice(2);
+	const options = {};
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === '--file' && args[i + 1]) {
+			options.file = args[i + 1];
+			i++;
+		}
+	}
+
+	return options;
+}
+
+function main() {
+	const options = parseArgs();
+	const file = options.file || DEFAULT_QUERIES_FILE;
+	const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+	const { errors, warnings } = validateQueries(data);
+
+	const categories = categoriesOf(data);
+	const count = Object.values(categories).reduce(
+		(n, v) => n + queriesOf(v).length,
+		0
+	);
+	console.log(
+		`${path.basename(file)}: version ${data.version || 1}, ${
+			Object.keys(categories).length
+		} categories, ${count} queries`
+	);
+	for (const [title, items] of [
+		['Errors', errors],
+		['Warnings', warnings],
+	]) {
+		if (!items.length) continue;
+		console.log(`\n${title}: ${items.length}`);
+		for (const item of items) console.log(`  - ${item}`);
+	}
+	if (errors.length || warnings.length) process.exitCode = 1;
+	else console.log('No problems found');
+}
+
+if (require.main === module) {
+	try {
+		main();
+	} catch (err) {
+		console.error('Error:', err.message || err);
+		process.exitCode = 1;
+	}
+}
+
+module.exports = {
+	DEFAULT_COUNT,
+	DEFAULT_QUERIES_FILE,
+	main,
+	readQueries,
+	searchTexts,
+	validateQueries,
+};
@@ -1,21 +1,80 @@
-// DuckDuckGo Image Downloader using queries.json
-// Downloads up to 8 images per query and saves metadata to image-metadata.json
-// Resizes images to max 800KB before saving
+// Image Downloader using queries.json (see queries-file.js for its format)
+// Downloads up to 8 images per query (or the query's count) and saves metadata
+// to image-metadata.ndjson
+// (crash-safe journal, exported to image-metadata.json; see metadata-store.js)
+// Runs several queries (browser pages) at once and fetches images through a
+// shared pool with per-host limits (--concurrency, --download-concurrency, --per-host)
+// Resizes images to max 800KB before saving, searching for the highest quality
+// and size that fit (format, size budget and derivative sizes are configurable:
+// --format, --max-bytes, --max-edge, --derivatives)
+// Search backend is picked with --provider (see search-providers.js; default
+// ddg-json,duckduckgo: DDG's JSON results, the browser only as fallback), e.g.
+//   node query-downloader.js --provider duckduckgo,commons
+// --provider-url overrides a provider's endpoint; with several providers give
+// name=url pairs, e.g. --provider-url openverse=http://localhost:9000/
+// (every provider but the duckduckgo browser one takes a URL)
+// A query's own provider, filters, negativeTerms, outputSubdir and tags in
+// queries.json apply to it alone; --provider and the filter flags still win.
+// Queries with templates or synonyms are searched once per variant and the
+// results merged (round-robin); the search that found an image is recorded
+// as searchQuery, the images are still stored under the query.
+// Candidates with a thumbnail (DDG, openverse) are fetched from the original
+// image first and from the thumbnail only if that fails (imageVariant in metadata).
+// DDG image filters per run (--size, --color, --type, --layout, --license,
+// --safe-search) and per category (search-filters.json, --filters-file);
+// the category's settings fill in the filters not given on the command line.
+// Resume state is kept per (category, query) in .query-downloader.ckpt.json;
+// --top-up fetches only the missing images for under-filled queries.
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
-const puppeteer = require('puppeteer');
+const {
+	DEFAULT_PROVIDER,
+	createProvider,
+	normalizeFilters,
+	providerNames,
+	readCategoryFilters,
+} = require('./search-providers');
+const {
+	DEFAULT_JOURNAL_FILE: METADATA_FILE,
+	writeFileAtomic,
+	openMetadataStore,
+} = require('./metadata-store');
+const {
+	FORMATS,
+	DEFAULT_OUTPUT,
+	parseBytes,
+	parseDerivatives,
+} = require('./image-encoder');
+const {
+	DEFAULT_INDEX_FILE: PHASH_INDEX_FILE,
+	DEFAULT_MAX_DISTANCE: PHASH_MAX_DISTANCE,
+	createPhashIndex,
+} = require('./perceptual-hash');
+const {
+	DEFAULT_RULES: DEFAULT_QUALITY_RULES,
+	DEFAULT_PLACEHOLDER_FILE,
+	loadPlaceholders,
+} = require('./image-quality');
+const {
+	DEFAULT_OUTPUT_DIR: OUTPUT_DIR,
+	candidateFields,
+	createImageSaver,
+	fileIndex,
+} = require('./image-saver');
+const { readQueries, searchTexts } = require('./queries-file');
+const {
+	runPool,
+	createQuota,
+	createLimiter,
+	createHostLimiter,
+} = require('./pool');
+
+const CHECKPOINT_FILE = path.join(__dirname, '.query-downloader.ckpt.json');
+const FILTERS_FILE = path.join(__dirname, 'search-filters.json');
 
-const QUERIES_FILE = path.join(__dirname, 'queries.json');
-const METADATA_FILE = path.join(__dirname, 'image-metadata.json');
-const OUTPUT_DIR = path.join(__dirname, 'images-queries');
-const MAX_FILE_SIZE = 800 * (1 << 10); // 800KB in bytes
-
-let sharp;
 try {
-	sharp = require('sharp');
+	require.resolve('sharp');
 } catch (e) {
 	console.error('sharp module not found. Please run: npm install sharp');
 	process.exit(1);
@@ -29,6 +88,82 @@ function parseArgs() {
 		if (args[i] === '--categories' && args[i + 1]) {
 			options.categories = args[i + 1].split(',').map((c) => c.trim());
 			i++;
+		} else if (args[i] === '--provider' && args[i + 1]) {
+			options.provider = args[i + 1];
+			i++;
+		} else if (args[i] === '--provider-url' && args[i + 1]) {
+			options.providerUrl = args[i + 1];
+			i++;
+		} else if (args[i] === '--concurrency' && args[i + 1]) {
+			options.concurrency = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--download-concurrency' && args[i + 1]) {
+			options.downloadConcurrency = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--per-host' && args[i + 1]) {
+			options.perHost = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--host-interval' && args[i + 1]) {
+			options.hostInterval = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--format' && args[i + 1]) {
+			options.format = args[i + 1].toLowerCase();
+			i++;
+		} else if (args[i] === '--max-bytes' && args[i + 1]) {
+			options.maxBytes = parseBytes(args[i + 1]);
+			i++;
+		} else if (args[i] === '--max-edge' && args[i + 1]) {
+			options.maxEdge = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--derivatives' && args[i + 1]) {
+			options.derivatives = args[i + 1];
+			i++;
+		} else if (args[i] === '--min-width' && args[i + 1]) {
+			options.minWidth = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--min-height' && args[i + 1]) {
+			options.minHeight = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--min-aspect' && args[i + 1]) {
+			options.minAspect = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--max-aspect' && args[i + 1]) {
+			options.maxAspect = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--min-entropy' && args[i + 1]) {
+			options.minEntropy = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--min-stddev' && args[i + 1]) {
+			options.minStdDev = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--placeholder-hashes' && args[i + 1]) {
+			options.placeholderHashes = args[i + 1];
+			i++;
+		} else if (args[i] === '--phash-distance' && args[i + 1]) {
+			options.phashDistance = Number(args[i + 1]);
+			i++;
+		} else if (args[i] === '--phash-mode' && args[i + 1]) {
+			options.phashMode = args[i + 1];
+			i++;
+		} else if (args[i] === '--phash-scope' && args[i + 1]) {
+			options.phashScope = args[i + 1];
+			i++;
+		} else if (args[i] === '--top-up') {
+			options.topUp = true;
+		} else if (
+			['--size', '--color', '--type', '--layout', '--license'].includes(
+				args[i]
+			) &&
+			args[i + 1]
+		) {
+			options.filters = { ...options.filters, [args[i].slice(2)]: args[i + 1] };
+			i++;
+		} else if (args[i] === '--safe-search' && args[i + 1]) {
+			options.filters = { ...options.filters, safeSearch: args[i + 1] };
+			i++;
+		} else if (args[i] === '--filters-file' && args[i + 1]) {
+			options.filtersFile = args[i + 1];
+			i++;
 		}
 	}
 
@@ -38,14 +173,30 @@ function parseArgs() {
 async function main() {
 	const options = parseArgs();
 
-	// Load queries
-	const queriesData = JSON.parse(fs.readFileSync(QUERIES_FILE, 'utf-8'));
+	// Load queries; a file with errors stops the run, warnings are listed
+	let queriesData;
+	try {
+		queriesData = readQueries();
+	} catch (e) {
+		console.error(`Error: ${e.message}`);
+		process.exit(1);
+	}
+	const { categories, warnings } = queriesData;
+	if (warnings.length > 0) {
+		console.warn(`Warning: ${warnings.length} problem(s) in queries.json:`);
+		for (const w of warnings.slice(0, 5)) console.warn(`  - ${w}`);
+		if (warnings.length > 5) {
+			console.warn(
+				`  ... and ${warnings.length - 5} more (node queries-file.js)`
+			);
+		}
+	}
 
 	// Filter categories if specified
-	let categoriesToProcess = Object.keys(queriesData);
+	let categoriesToProcess = Object.keys(categories);
 	if (options.categories && options.categories.length > 0) {
-		const validCategories = options.categories.filter((c) => queriesData[c]);
-		const invalidCategories = options.categories.filter((c) => !queriesData[c]);
+		const validCategories = options.categories.filter((c) => categories[c]);
+		const invalidCategories = options.categories.filter((c) => !categories[c]);
 
 		if (invalidCategories.length > 0) {
 			console.warn(
@@ -56,7 +207,7 @@ async function main() {
 		if (validCategories.length === 0) {
 			console.error('Error: No valid categories specified');
 			console.log(
-				`Available categories: ${Object.keys(queriesData).join(', ')}`
+				`Available categories: ${Object.keys(categories).join(', ')}`
 			);
 			process.exit(1);
 		}
@@ -68,419 +219,451 @@ async function main() {
 	// Flatten all queries into a single array
 	const allQueries = [];
 	for (const category of categoriesToProcess) {
-		for (const query of queriesData[category]) {
-			allQueries.push({ category, query });
-		}
+		allQueries.push(...categories[category]);
 	}
 
 	console.log(
 		`Loaded ${allQueries.length} queries from ${
-			Object.keys(queriesData).length
+			Object.keys(categories).length
 		} categories`
 	);
 
-	// Ensure output directory exists
-	ensureDir(OUTPUT_DIR);
-
-	// Load existing metadata if present
-	let metadata = [];
-	if (fs.existsSync(METADATA_FILE)) {
-		try {
-			metadata = JSON.parse(fs.readFileSync(METADATA_FILE, 'utf-8'));
-			console.log(`Loaded ${metadata.length} existing metadata entries`);
-		} catch (e) {
-			console.warn('Could not parse existing metadata file, starting fresh');
-			metadata = [];
-		}
+	// Load existing metadata (imports image-metadata.json on first use).
+	// A corrupt store stops the run instead of silently starting fresh.
+	const store = await openMetadataStore();
+	const metadata = store.records;
+	console.log(`Loaded ${metadata.length} existing metadata entries`);
+
+	// Output format and size targets
+	let output;
+	try {
+		output = {
+			format: options.format === 'jpg' ? 'jpeg' : options.format || 'jpeg',
+			maxBytes: options.maxBytes ?? DEFAULT_OUTPUT.maxBytes,
+			maxEdge: options.maxEdge ?? DEFAULT_OUTPUT.maxEdge,
+			derivatives: parseDerivatives(options.derivatives),
+		};
+	} catch (e) {
+		console.error(`Error: ${e.message}`);
+		process.exit(1);
+	}
+	if (!FORMATS.includes(output.format)) {
+		console.error(`Error: --format must be one of ${FORMATS.join(', ')}`);
+		process.exit(1);
+	}
+	if (!(output.maxBytes > 0) || !(output.maxEdge >= 0)) {
+		console.error('Error: --max-bytes must be > 0 and --max-edge >= 0');
+		process.exit(1);
 	}
 
-	// Track already processed queries
-	const processedQueries = new Set(metadata.map((m) => m.query));
+	// Quality gate: flags override the defaults in image-quality.js
+	const qualityRules = { ...DEFAULT_QUALITY_RULES };
+	for (const key of [
+		'minWidth',
+		'minHeight',
+		'minAspect',
+		'maxAspect',
+		'minEntropy',
+		'minStdDev',
+	]) {
+		if (Number.isFinite(options[key])) qualityRules[key] = options[key];
+	}
+	qualityRules.placeholders = loadPlaceholders(
+		options.placeholderHashes || DEFAULT_PLACEHOLDER_FILE
+	);
 
-	// Launch browser
-	const browser = await puppeteer.launch({
-		headless: true,
-		args: ['--no-sandbox', '--disable-setuid-sandbox'],
-		defaultViewport: { width: 1366, height: 900 },
-	});
+	// Perceptual-hash index shared with commons-downloader.js
+	const phashMode = options.phashMode || 'reject';
+	const phashScope = options.phashScope || 'collection';
+	if (!['reject', 'report', 'off'].includes(phashMode)) {
+		console.error(`Error: --phash-mode must be reject, report or off`);
+		process.exit(1);
+	}
+	if (!['query', 'collection'].includes(phashScope)) {
+		console.error(`Error: --phash-scope must be query or collection`);
+		process.exit(1);
+	}
+	let nearDuplicates = null;
+	if (phashMode !== 'off') {
+		const index = createPhashIndex(PHASH_INDEX_FILE);
+		nearDuplicates = {
+			index,
+			maxDistance: Number.isFinite(options.phashDistance)
+				? options.phashDistance
+				: PHASH_MAX_DISTANCE,
+			mode: phashMode,
+			scope: phashScope,
+		};
+		console.log(
+			`Near-duplicate check: ${phashMode} within distance ${
+				nearDuplicates.maxDistance
+			} (${phashScope}, ${index.size()} hashes indexed)`
+		);
+	}
 
-	const page = await browser.newPage();
-	await page.setUserAgent(
-		'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36'
+	// Resume state per (category, query): what was wanted and what is on disk
+	const checkpoint = loadCheckpoint();
+	const progress = queryProgress(allQueries, metadata);
+	let complete = 0;
+	let underFilled = 0;
+	for (const p of progress.values()) {
+		if (p.obtained >= p.wanted) complete++;
+		else if (p.obtained > 0) underFilled++;
+	}
+	console.log(
+		`Resume: ${complete} complete, ${underFilled} under-filled${
+			underFilled && !options.topUp ? ' (use --top-up to fill them)' : ''
+		}`
 	);
 
-	try {
-		for (let i = 0; i < allQueries.length; i++) {
-			const { category, query } = allQueries[i];
+	// Queries taken by a worker in this run (a query can be listed twice)
+	const processedQueries = new Set();
+	let failedQueries = 0;
 
-			// Skip if already processed
-			if (processedQueries.has(query)) {
-				console.log(
-					`[${i + 1}/${
-						allQueries.length
-					}] Skipping "${query}" (already processed)`
-				);
-				continue;
-			}
+	// One provider per setting in use: --provider, else the query's own
+	const providerSpec = (entry) =>
+		options.provider || entry.provider || DEFAULT_PROVIDER;
+	const providers = new Map();
+	try {
+		for (const spec of new Set(
+			(allQueries.length ? allQueries : [{}]).map(providerSpec)
+		)) {
+			providers.set(
+				spec,
+				createProvider(spec, { providerUrl: options.providerUrl })
+			);
+		}
+	} catch (e) {
+		console.error(`Error: ${e.message}`);
+		console.log(`Available providers: ${providerNames().join(', ')}`);
+		process.exit(1);
+	}
+	console.log(
+		`Using provider: ${[...providers.values()].map((p) => p.name).join('; ')}`
+	);
 
+	// DDG image filters: the category's defaults, then the run's flags
+	let runFilters;
+	let categoryFilters;
+	try {
+		runFilters = normalizeFilters(options.filters, 'Search filters');
+		categoryFilters = readCategoryFilters(options.filtersFile || FILTERS_FILE);
+	} catch (e) {
+		console.error(`Error: ${e.message}`);
+		process.exit(1);
+	}
+	const filtersFor = (entry) => ({
+		...categoryFilters[entry.category],
+		...entry.filters,
+		...runFilters,
+	});
+	for (const category of categoriesToProcess) {
+		const filters = Object.entries(filtersFor({ category }));
+		if (filters.length) {
 			console.log(
-				`[${i + 1}/${allQueries.length}] Processing: "${query}" (${category})`
+				`Search filters (${category}): ${filters
+					.map(([k, v]) => `${k}:${v}`)
+					.join(', ')}`
 			);
+		}
+	}
 
-			const results = await downloadImagesForQuery(page, query, category, 8);
+	const concurrency = Math.max(1, options.concurrency || 2);
+	// Fetches, checks and saves candidates (see image-saver.js); one saver per
+	// output directory, all sharing the download limits
+	const saverOptions = {
+		output,
+		qualityRules,
+		nearDuplicates,
+		downloadLimiter: createLimiter(
+			Math.max(1, options.downloadConcurrency || 8)
+		),
+		hostLimiter: createHostLimiter(
+			Math.max(1, options.perHost || 2),
+			Math.max(0, options.hostInterval ?? 250)
+		),
+	};
+	const savers = new Map();
+	const saverFor = (entry) => {
+		const outputDir = entry.outputSubdir
+			? path.join(OUTPUT_DIR, entry.outputSubdir)
+			: OUTPUT_DIR;
+		if (!savers.has(outputDir)) {
+			savers.set(outputDir, createImageSaver({ ...saverOptions, outputDir }));
+		}
+		return savers.get(outputDir);
+	};
+	console.log(
+		`Running ${concurrency} quer${concurrency === 1 ? 'y' : 'ies'} at a time`
+	);
 
-			if (results.length > 0) {
-				metadata.push(...results);
-				processedQueries.add(query);
+	try {
+		for (const provider of providers.values()) await provider.init();
+
+		await runPool(
+			allQueries.map((q, i) => ({ ...q, i })),
+			async (entry) => {
+				const { category, query, i } = entry;
+				const key = queryKey(entry);
+				const p = progress.get(key);
+				const missing = p.wanted - p.obtained;
+				// Skip if already processed (or being processed by another worker);
+				// under-filled queries are only revisited with --top-up
+				if (
+					processedQueries.has(key) ||
+					missing <= 0 ||
+					(p.obtained > 0 && !options.topUp)
+				) {
+					console.log(
+						`[${i + 1}/${
+							allQueries.length
+						}] Skipping "${query}" (${category}, ${p.obtained}/${
+							p.wanted
+						} images)`
+					);
+					return;
+				}
+				processedQueries.add(key);
 
-				// Save metadata after each successful download
-				fs.writeFileSync(METADATA_FILE, JSON.stringify(metadata, null, 2));
 				console.log(
-					`  ✓ Saved ${results.length} image(s): ${results
-						.map((r) => r.filename)
-						.join(', ')}`
+					`[${i + 1}/${allQueries.length}] ${
+						p.obtained > 0
+							? `Topping up ${p.obtained}/${p.wanted}`
+							: 'Processing'
+					}: "${query}" (${category})`
 				);
-			} else {
-				console.log(`  ✗ Failed to download images for "${query}"`);
-			}
 
-			// Small delay between queries to be polite
-			await delay(1000 + Math.random() * 1000);
-		}
+				// A failing query (a full disk, an unwritable journal) is logged and
+				// counted; the other workers carry on with theirs
+				try {
+					const results = await downloadImagesForQuery(
+						providers.get(providerSpec(entry)),
+						query,
+						category,
+						missing,
+						{
+							startIndex: p.lastIndex + 1,
+							skipUrls: p.sourceUrls,
+							filters: filtersFor(entry),
+							searchQueries: searchTexts(entry),
+							tags: entry.tags,
+							outputSubdir: entry.outputSubdir,
+							saver: saverFor(entry),
+						}
+					);
+
+					p.obtained += results.length;
+					checkpoint.queries[key] = {
+						category,
+						query,
+						...(entry.outputSubdir ? { outputSubdir: entry.outputSubdir } : {}),
+						wanted: p.wanted,
+						obtained: p.obtained,
+						updatedAt: new Date().toISOString(),
+					};
+					saveCheckpoint(checkpoint);
+
+					if (results.length > 0) {
+						metadata.push(...results);
+
+						// Journal metadata after each successful download
+						await store.append(results);
+						console.log(
+							`  ✓ Saved ${results.length} image(s): ${results
+								.map((r) => r.filename)
+								.join(', ')}`
+						);
+					} else {
+						console.log(`  ✗ Failed to download images for "${query}"`);
+					}
+				} catch (e) {
+					failedQueries++;
+					console.error(`  ✗ "${query}" (${category}) failed: ${e.message}`);
+				}
+
+				// Small delay between queries to be polite
+				await delay(1000 + Math.random() * 1000);
+			},
+			concurrency
+		);
 	} finally {
-		await browser.close().catch(() => {});
+		for (const provider of providers.values()) {
+			await provider.close().catch(() => {});
+		}
+		await store.close();
 	}
 
 	console.log(`\nDone! Downloaded ${metadata.length} images.`);
+	if (failedQueries > 0) {
+		console.log(
+			`${failedQueries} quer${
+				failedQueries === 1 ? 'y' : 'ies'
+			} failed (see above)`
+		);
+		process.exitCode = 1;
+	}
 	console.log(`Metadata saved to: ${METADATA_FILE}`);
 	console.log(`Images saved to: ${OUTPUT_DIR}`);
 }
 
-async function downloadImagesForQuery(page, query, category, maxImages = 8) {
-	const url = `https://duckduckgo.com/?q=${encodeURIComponent(
-		query
-	)}&iar=images&iax=images&ia=images`;
-
+// Resume state file: { queries: { "<category>/<query>": { category, query, wanted, obtained, updatedAt } } }
+// A damaged file (a crash mid-write) is set aside: progress comes from metadata
+function loadCheckpoint() {
+	if (!fs.existsSync(CHECKPOINT_FILE)) return { queries: {} };
 	try {
-		await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-
-		// Wait for images to load
-		await delay(2000);
-
-		// Try to accept consent popups
-		const consentSelectors = [
-			'#onetrust-accept-btn-handler',
-			"button[aria-label='Accept all']",
-			"button[aria-label='Accept All']",
-		];
-		for (const sel of consentSelectors) {
-			const el = await page.$(sel).catch(() => null);
-			if (el) {
-				try {
-					await el.click({ delay: 50 });
-					await delay(500);
-					break;
-				} catch {}
-			}
-		}
-
-		// Scroll a bit to trigger lazy loading
-		await autoScroll(page, 1000);
-		await delay(1000);
-
-		// Collect image URLs (request more than needed in case some fail)
-		const imageUrls = await collectOriginalImageUrls(page, maxImages * 2);
-
-		if (imageUrls.length === 0) {
-			console.log(`  No images found for "${query}"`);
-			return [];
-		}
-
-		// Try to download up to maxImages images
-		const results = [];
-		let imageIndex = 1;
-		for (const imageUrl of imageUrls) {
-			if (results.length >= maxImages) {
-				break;
-			}
-
-			try {
-				const result = await downloadAndResizeImage(
-					imageUrl,
-					query,
-					category,
-					url,
-					imageIndex
-				);
-				if (result) {
-					results.push(result);
-					imageIndex++;
-				}
-			} catch (e) {
-				// Silently continue to next image
-			}
-		}
-
-		return results;
+		const ck = JSON.parse(fs.readFileSync(CHECKPOINT_FILE, 'utf-8'));
+		return { ...ck, queries: ck.queries || {} };
 	} catch (e) {
-		console.error(`  Error processing query "${query}":`, e.message);
-		return [];
+		console.warn(
+			`Warning: ignoring unreadable ${CHECKPOINT_FILE} (${e.message}); resuming from metadata`
+		);
+		return { queries: {} };
 	}
 }
 
-async function collectOriginalImageUrls(page, limit = 10) {
-	const urls = await page.evaluate(() => {
-		const out = new Set();
-		const imgs = Array.from(
-			document.querySelectorAll('div.tile--img img, div.js-images img, img')
-		);
-
-		const extractFrom = (raw) => {
-			try {
-				if (!raw) return null;
-				const url = new URL(raw, location.href);
-				// DDG proxy forms
-				if (url.hostname.includes('duckduckgo.com')) {
-					const u = url.searchParams.get('u');
-					if (u) return decodeURIComponent(u);
-					const uddg = url.searchParams.get('uddg');
-					if (uddg) return decodeURIComponent(uddg);
-				}
-				if (url.hostname.includes('external-content.duckduckgo.com')) {
-					const u = url.searchParams.get('u');
-					if (u) return decodeURIComponent(u);
-				}
-			} catch {}
-			return null;
-		};
+function saveCheckpoint(checkpoint) {
+	writeFileAtomic(CHECKPOINT_FILE, JSON.stringify(checkpoint, null, 2));
+}
 
-		for (const img of imgs) {
-			const cands = [
-				img.getAttribute('src'),
-				img.getAttribute('data-src'),
-				img.getAttribute('srcset'),
-			];
-			for (const cand of cands) {
-				if (!cand) continue;
-				const parts = cand
-					.split(',')
-					.map((s) => s.trim().split(' ')[0])
-					.filter(Boolean);
-				for (const p of parts) {
-					const or = extractFrom(p);
-					if (or) out.add(or);
-				}
-			}
-			const a = img.closest('a');
-			if (a && a.href) {
-				const or = extractFrom(a.href);
-				if (or) out.add(or);
-			}
-		}
-		return Array.from(out);
-	});
+// Queries saved to an outputSubdir are tracked apart from the same query
+// elsewhere; records carry the outputSubdir so moved files still count
+function queryKey({ category, query, outputSubdir }) {
+	return outputSubdir
+		? `${category}/${outputSubdir}/${query}`
+		: `${category}/${query}`;
+}
 
-	return urls.slice(0, limit);
+// Per (category, query): wanted, obtained (files still on disk), the highest
+// filename index used and every source URL already downloaded for it.
+// Derived from metadata, so runs from before the checkpoint existed resume too.
+function queryProgress(queries, metadata) {
+	const progress = new Map();
+	for (const q of queries) {
+		progress.set(queryKey(q), {
+			wanted: q.count,
+			obtained: 0,
+			lastIndex: 0,
+			sourceUrls: new Set(),
+		});
+	}
+	for (const m of metadata) {
+		const p = progress.get(queryKey(m));
+		if (!p) continue;
+		const index = fileIndex(m.filename);
+		if (index > p.lastIndex) p.lastIndex = index;
+		if (m.sourceUrl) p.sourceUrls.add(m.sourceUrl);
+		// saved from the thumbnail or after a redirect, but found by the URL
+		// the search returned
+		if (m.originalUrl) p.sourceUrls.add(m.originalUrl);
+		if (m.requestUrl) p.sourceUrls.add(m.requestUrl);
+		// file-mover.js records where it moved a file in m.path
+		const file = m.path
+			? path.resolve(__dirname, m.path)
+			: path.join(OUTPUT_DIR, m.filename);
+		if (fs.existsSync(file)) p.obtained++;
+	}
+	return progress;
 }
 
-async function downloadAndResizeImage(
-	imageUrl,
+async function downloadImagesForQuery(
+	provider,
 	query,
 	category,
-	searchUrl,
-	imageIndex = 1
+	maxImages,
+	{
+		startIndex = 1,
+		skipUrls = new Set(),
+		filters = {},
+		searchQueries = [query],
+		tags,
+		outputSubdir,
+		saver,
+	} = {}
 ) {
-	return new Promise((resolve, reject) => {
-		try {
-			const urlObj = new URL(imageUrl);
-			const mod = urlObj.protocol === 'http:' ? http : https;
-
-			const req = mod.get(
-				{
-					hostname: urlObj.hostname,
-					path: urlObj.pathname + (urlObj.search || ''),
-					protocol: urlObj.protocol,
-					timeout: 30000,
-					headers: {
-						'User-Agent':
-							'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-						Referer: 'https://duckduckgo.com/',
-						Accept: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
-					},
-				},
-				(res) => {
-					// Handle redirects
-					if (
-						res.statusCode >= 300 &&
-						res.statusCode < 400 &&
-						res.headers.location
-					) {
-						const redirectUrl = new URL(
-							res.headers.location,
-							urlObj
-						).toString();
-						res.resume();
-						downloadAndResizeImage(
-							redirectUrl,
-							query,
-							category,
-							searchUrl,
-							imageIndex
-						)
-							.then(resolve)
-							.catch(reject);
-						return;
-					}
+	try {
+		// Collect candidates (request more than needed in case some fail),
+		// leaving out images this query already has
+		const lists = [];
+		for (const searchQuery of searchQueries) {
+			try {
+				const found = await provider.search(searchQuery, {
+					limit: (maxImages + skipUrls.size) * 2,
+					filters,
+				});
+				lists.push(found.map((c) => ({ ...c, searchQuery })));
+			} catch (e) {
+				// The other variants can still fill the query
+				if (searchQueries.length === 1) throw e;
+				console.log(`  Search "${searchQuery}" failed: ${e.message}`);
+			}
+		}
+		const candidates = mergeCandidates(lists).filter(
+			(c) => !skipUrls.has(c.url)
+		);
 
-					if (res.statusCode !== 200) {
-						res.resume();
-						reject(new Error(`HTTP ${res.statusCode}`));
-						return;
-					}
+		if (candidates.length === 0) {
+			console.log(`  No images found for "${query}"`);
+			return [];
+		}
 
-					const chunks = [];
-					res.on('data', (chunk) => chunks.push(chunk));
-					res.on('end', async () => {
-						try {
-							const buffer = Buffer.concat(chunks);
-
-							// Resize image to fit within 800KB
-							const resizedBuffer = await resizeToMaxSize(
-								buffer,
-								MAX_FILE_SIZE
-							);
-
-							// Generate filename from query with index
-							const safeQuery = query
-								.replace(/[^a-zA-Z0-9]/g, '_')
-								.substring(0, 50);
-							const filename = `${safeQuery}_${String(imageIndex).padStart(
-								2,
-								'0'
-							)}.jpg`;
-							const filePath = path.join(OUTPUT_DIR, filename);
-
-							// Handle duplicate filenames
-							const finalPath = uniquePath(filePath);
-							const finalFilename = path.basename(finalPath);
-
-							fs.writeFileSync(finalPath, resizedBuffer);
-
-							resolve({
-								filename: finalFilename,
-								query: query,
-								category: category,
-								sourceUrl: imageUrl,
-							});
-						} catch (e) {
-							reject(e);
-						}
+		// Download candidates in parallel until maxImages have been saved.
+		// Indexes are handed out at save time, so filenames stay _01.._NN
+		// (continuing after existing files when topping up).
+		// Workers without a token wait for in-flight saves, so a failed one hands
+		// its slot to the next candidate.
+		const results = [];
+		const quota = createQuota(maxImages);
+		let nextIndex = startIndex;
+		await runPool(
+			candidates,
+			async (candidate) => {
+				const token = await quota.acquire();
+				if (!token) return;
+				try {
+					const result = await saver.save(candidate.url, {
+						query,
+						category,
+						nextIndex: () => nextIndex++,
+						fallbackUrl: candidate.thumbnailUrl,
+					});
+					results.push({
+						...result,
+						...candidateFields(candidate),
+						...(candidate.searchQuery !== query
+							? { searchQuery: candidate.searchQuery }
+							: {}),
+						...(tags ? { tags } : {}),
+						...(outputSubdir ? { outputSubdir } : {}),
 					});
-					res.on('error', reject);
+					token.commit();
+				} catch (e) {
+					// Continue with the next candidate
+					token.release();
 				}
-			);
-
-			req.on('error', reject);
-			req.on('timeout', () => {
-				req.destroy();
-				reject(new Error('Request timeout'));
-			});
-		} catch (e) {
-			reject(e);
-		}
-	});
-}
-
-async function resizeToMaxSize(buffer, maxBytes) {
-	let quality = 90;
-	let resizedBuffer = buffer;
+			},
+			maxImages
+		);
 
-	// First, convert to JPEG and get initial size
-	try {
-		resizedBuffer = await sharp(buffer).jpeg({ quality }).toBuffer();
+		return results.sort((a, b) => a.filename.localeCompare(b.filename));
 	} catch (e) {
-		// If sharp fails, return original buffer
-		console.log(`  Warning: Could not process image with sharp: ${e.message}`);
-		return buffer;
-	}
-
-	// If already under max size, return as is
-	if (resizedBuffer.length <= maxBytes) {
-		return resizedBuffer;
+		console.error(`  Error processing query "${query}":`, e.message);
+		return [];
 	}
+}
 
-	// Get image metadata
-	const metadata = await sharp(buffer).metadata();
-	let width = metadata.width;
-	let height = metadata.height;
-
-	// Progressively reduce quality and/or dimensions
-	while (resizedBuffer.length > maxBytes && (quality > 20 || width > 200)) {
-		// First try reducing quality
-		if (quality > 20) {
-			quality -= 10;
-			resizedBuffer = await sharp(buffer)
-				.resize(width, height, { fit: 'inside', withoutEnlargement: true })
-				.jpeg({ quality })
-				.toBuffer();
-
-			if (resizedBuffer.length <= maxBytes) {
-				break;
+// Round-robin over the result lists of several searches, each image once
+function mergeCandidates(lists) {
+	const merged = [];
+	const seen = new Set();
+	for (let i = 0; lists.some((list) => i < list.length); i++) {
+		for (const list of lists) {
+			if (i < list.length && !seen.has(list[i].url)) {
+				seen.add(list[i].url);
+				merged.push(list[i]);
 			}
 		}
-
-		// If still too big, reduce dimensions
-		if (resizedBuffer.length > maxBytes && width > 200) {
-			width = Math.floor(width * 0.8);
-			height = Math.floor(height * 0.8);
-			resizedBuffer = await sharp(buffer)
-				.resize(width, height, { fit: 'inside', withoutEnlargement: true })
-				.jpeg({ quality })
-				.toBuffer();
-		}
 	}
-
-	return resizedBuffer;
-}
-
-async function autoScroll(page, maxPixels = 2000) {
-	try {
-		await page.evaluate(async (max) => {
-			await new Promise((resolve) => {
-				let totalHeight = 0;
-				const distance = 400;
-				const timer = setInterval(() => {
-					const scrollHeight = document.body.scrollHeight;
-					window.scrollBy(0, distance);
-					totalHeight += distance;
-					if (totalHeight >= Math.min(max, scrollHeight - window.innerHeight)) {
-						clearInterval(timer);
-						resolve();
-					}
-				}, 150);
-			});
-		}, maxPixels);
-	} catch {}
-}
-
-function ensureDir(dir) {
-	if (!fs.existsSync(dir)) {
-		fs.mkdirSync(dir, { recursive: true });
-	}
-}
-
-function uniquePath(p) {
-	if (!fs.existsSync(p)) return p;
-	const dir = path.dirname(p);
-	const ext = path.extname(p);
-	const name = path.basename(p, ext);
-	let idx = 1;
-	let candidate;
-	do {
-		candidate = path.join(dir, `${name}_${idx}${ext}`);
-		idx++;
-	} while (fs.existsSync(candidate));
-	return candidate;
+	return merged;
 }
 
 function delay(ms) {
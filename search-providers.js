@@ -0,0 +1,791 @@
+// Search-engine backends for query-downloader.js
+// Every provider has the same shape:
+//   { name, init(), search(query, { limit, filters }), close() }
+// and search() resolves to an array of candidate records:
+//   { url, provider, searchUrl, thumbnailUrl?, pageUrl?, title?, width?, height?,
+//     domain?, license?, author? }
+// width/height are the source dimensions the search engine reports. When
+// thumbnailUrl is set the downloader falls back to it if url can't be used.
+// Providers can be chained ("duckduckgo,commons"): the next one is only asked
+// when the previous one fails or comes back empty.
+// filters ({ size, color, type, layout, license, safeSearch }, see
+// normalizeFilters) are DDG image filters; other providers ignore them.
+// Paged providers (ddg-json) also have page(query, { cursor, filters }) ->
+// { candidates, cursor }; pass the returned cursor to get the next page, null
+// means there are no more.
+
+const fs = require('fs');
+
+const USER_AGENT =
+	'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36';
+const HTTP_TIMEOUT_MS = 30000;
+
+// JSON results first; the browser only when they can't be had
+const DEFAULT_PROVIDER = 'ddg-json,duckduckgo';
+
+const PROVIDERS = {
+	'ddg-json': createDdgJsonProvider,
+	duckduckgo: createDuckDuckGoProvider,
+	commons: createCommonsProvider,
+	openverse: createOpenverseProvider,
+	fixture: createFixtureProvider,
+};
+
+// Providers that can be pointed at another server with --provider-url; the
+// browser one only recognises duckduckgo.com pages
+const URL_PROVIDERS = new Set(['ddg-json', 'commons', 'openverse', 'fixture']);
+
+const ALIASES = {
+	ddg: 'duckduckgo',
+	wikimedia: 'commons',
+};
+
+function providerNames() {
+	return Object.keys(PROVIDERS);
+}
+
+// ---- DuckDuckGo image filters ----
+// Values are matched case-insensitively and kept in DDG's spelling.
+const DDG_FILTERS = {
+	size: ['Small', 'Medium', 'Large', 'Wallpaper'],
+	color: [
+		'color',
+		'Monochrome',
+		'Red',
+		'Orange',
+		'Yellow',
+		'Green',
+		'Blue',
+		'Purple',
+		'Pink',
+		'Brown',
+		'Black',
+		'Gray',
+		'Teal',
+		'White',
+	],
+	type: ['photo', 'clipart', 'gif', 'transparent', 'line'],
+	layout: ['Square', 'Tall', 'Wide'],
+	license: [
+		'Any',
+		'Public',
+		'Share',
+		'ShareCommercially',
+		'Modify',
+		'ModifyCommercially',
+	],
+	safeSearch: ['strict', 'moderate', 'off'],
+};
+const SAFE_SEARCH_KP = { strict: '1', moderate: '-1', off: '-2' };
+
+// { size: 'large', type: 'Photo' } -> { size: 'Large', type: 'photo' };
+// unknown filters or values throw, naming `where`
+function normalizeFilters(filters = {}, where = 'filters') {
+	const out = {};
+	for (const [key, value] of Object.entries(filters)) {
+		if (value == null || value === '') continue;
+		const allowed = DDG_FILTERS[key];
+		if (!allowed) {
+			throw new Error(
+				`${where}: unknown filter "${key}" (${Object.keys(DDG_FILTERS).join(
+					', '
+				)})`
+			);
+		}
+		const match = allowed.find(
+			(v) => v.toLowerCase() === String(value).toLowerCase()
+		);
+		if (!match) {
+			throw new Error(`${where}: ${key} must be one of ${allowed.join(', ')}`);
+		}
+		out[key] = match;
+	}
+	return out;
+}
+
+// Per-category filters: { "<category>": { size, color, ... } }
+function readCategoryFilters(file) {
+	if (!fs.existsSync(file)) return {};
+	const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+	const out = {};
+	for (const [category, filters] of Object.entries(data)) {
+		out[category] = normalizeFilters(filters, `${file} (${category})`);
+	}
+	return out;
+}
+
+// Search parameters for DDG: the results page takes iaf=size:Large,type:photo,
+// i.js takes f=<time>,<size>,<color>,<type>,<layout>,<license> by position
+function ddgFilterParams(filters = {}, { json = false } = {}) {
+	const keys = ['size', 'color', 'type', 'layout', 'license'];
+	const params = {};
+	if (json) {
+		params.f = [
+			'',
+			...keys.map((k) => (filters[k] ? `${k}:${filters[k]}` : '')),
+		].join(',');
+		params.p = filters.safeSearch === 'off' ? '-1' : '1';
+	} else {
+		const iaf = keys.filter((k) => filters[k]).map((k) => `${k}:${filters[k]}`);
+		if (iaf.length) params.iaf = iaf.join(',');
+	}
+	if (filters.safeSearch) params.kp = SAFE_SEARCH_KP[filters.safeSearch];
+	return params;
+}
+
+// DDG images results page for a query
+function ddgSearchUrl(query, filters = {}) {
+	const u = new URL('https://duckduckgo.com/');
+	u.searchParams.set('q', query);
+	u.searchParams.set('iar', 'images');
+	u.searchParams.set('iax', 'images');
+	u.searchParams.set('ia', 'images');
+	for (const [k, v] of Object.entries(ddgFilterParams(filters))) {
+		u.searchParams.set(k, v);
+	}
+	return u.toString();
+}
+
+// "DDG, wikimedia" -> ['duckduckgo', 'commons']; throws on unknown names
+function resolveProviderNames(spec) {
+	const names = String(spec || DEFAULT_PROVIDER)
+		.split(',')
+		.map((s) => s.trim().toLowerCase())
+		.filter(Boolean)
+		.map((s) => ALIASES[s] || s);
+
+	const unknown = names.filter((n) => !PROVIDERS[n]);
+	if (unknown.length > 0) {
+		throw new Error(
+			`Unknown provider(s): ${unknown.join(
+				', '
+			)} (available: ${providerNames().join(', ')})`
+		);
+	}
+	if (names.length === 0) {
+		throw new Error('No provider specified');
+	}
+	return names;
+}
+
+// providerUrl is either one URL, for a single provider, or name=url pairs
+// ("openverse=http://localhost:9000/,ddg-json=http://localhost:8091") so each
+// provider in a chain gets its own; pairs for providers not in use are ignored.
+// Throws when a URL is given to a provider that can't use one.
+function providerUrls(providerUrl, names) {
+	if (!providerUrl) return {};
+	const parts = String(providerUrl)
+		.split(',')
+		.map((s) => s.trim())
+		.filter(Boolean);
+	if (!parts.every((p) => /^[a-z-]+=/i.test(p))) {
+		if (names.length !== 1) {
+			throw new Error(
+				`Provider URL "${providerUrl}" is ambiguous for ${names.join(
+					','
+				)}; give name=url pairs`
+			);
+		}
+		return checkUrlProviders({ [names[0]]: String(providerUrl) });
+	}
+	const urls = {};
+	for (const part of parts) {
+		const eq = part.indexOf('=');
+		const [name] = resolveProviderNames(part.slice(0, eq));
+		urls[name] = part.slice(eq + 1);
+	}
+	return checkUrlProviders(urls);
+}
+
+function checkUrlProviders(urls) {
+	const fixed = Object.keys(urls).filter((n) => !URL_PROVIDERS.has(n));
+	if (fixed.length > 0) {
+		throw new Error(
+			`Provider(s) ${fixed.join(', ')} can't use a provider URL (only ${[
+				...URL_PROVIDERS,
+			].join(', ')})`
+		);
+	}
+	return urls;
+}
+
+function createProvider(spec, options = {}) {
+	const names = resolveProviderNames(spec);
+	const urls = providerUrls(options.providerUrl, names);
+
+	const providers = names.map((n) =>
+		PROVIDERS[n]({ ...options, providerUrl: urls[n] })
+	);
+	return providers.length === 1 ? providers[0] : createProviderChain(providers);
+}
+
+function createProviderChain(providers) {
+	return {
+		name: providers.map((p) => p.name).join(','),
+		async init() {
+			for (const p of providers) await p.init();
+		},
+		async search(query, opts = {}) {
+			for (const p of providers) {
+				try {
+					const results = await p.search(query, opts);
+					if (results.length > 0) return results;
+					console.log(`  ${p.name}: no results for "${query}"`);
+				} catch (e) {
+					console.warn(`  ${p.name}: search failed for "${query}":`, e.message);
+				}
+			}
+			return [];
+		},
+		async close() {
+			for (const p of providers) await p.close().catch(() => {});
+		},
+	};
+}
+
+// ---- DuckDuckGo JSON results (no browser) ----
+// The images page carries a vqd token for the query; i.js with that token
+// returns { results: [{ image, thumbnail, width, height, url, title, source }],
+// next } where next is the query string of the following page.
+
+function createDdgJsonProvider(options = {}) {
+	const baseUrl = (options.providerUrl || 'https://duckduckgo.com').replace(
+		/\/$/,
+		''
+	);
+	const tokens = new Map(); // query -> vqd
+
+	const token = async (query, refresh = false) => {
+		if (!refresh && tokens.has(query)) return tokens.get(query);
+		const html = await fetchText(
+			`${baseUrl}/?q=${encodeURIComponent(query)}&iax=images&ia=images`
+		);
+		const m = html.match(/vqd\s*[=:]\s*["']?(\d[\d-]+)/);
+		if (!m) throw new Error(`no vqd token for "${query}"`);
+		tokens.set(query, m[1]);
+		return m[1];
+	};
+
+	// The next-page cursor already carries the query and filters
+	const fetchPage = async (query, cursor, filters, vqd) => {
+		const u = cursor
+			? new URL(cursor.replace(/^\/?/, '/'), baseUrl)
+			: new URL('/i.js', baseUrl);
+		if (!cursor) {
+			u.searchParams.set('l', 'us-en');
+			u.searchParams.set('o', 'json');
+			u.searchParams.set('q', query);
+			for (const [k, v] of Object.entries(
+				ddgFilterParams(filters, { json: true })
+			)) {
+				u.searchParams.set(k, v);
+			}
+		}
+		u.searchParams.set('vqd', vqd);
+		const searchUrl = u.toString();
+		const js = await fetchJson(searchUrl, { Referer: `${baseUrl}/` });
+		return { js, searchUrl };
+	};
+
+	const provider = {
+		name: 'ddg-json',
+		async init() {},
+		async page(query, { cursor = null, filters = {} } = {}) {
+			let result;
+			try {
+				result = await fetchPage(query, cursor, filters, await token(query));
+			} catch (e) {
+				// Tokens expire; a 403 gets one retry with a fresh one
+				if (!/HTTP 403/.test(e.message)) throw e;
+				result = await fetchPage(
+					query,
+					cursor,
+					filters,
+					await token(query, true)
+				);
+			}
+			const { js, searchUrl } = result;
+			const candidates = (Array.isArray(js?.results) ? js.results : [])
+				.filter((r) => r && r.image)
+				.map((r) => ({
+					url: r.image,
+					provider: 'ddg-json',
+					searchUrl,
+					thumbnailUrl: r.thumbnail,
+					pageUrl: r.url,
+					title: r.title,
+					width: r.width,
+					height: r.height,
+				}));
+			return { candidates, cursor: js?.next || null };
+		},
+		async search(query, { limit = 16, filters } = {}) {
+			const out = [];
+			let page = { cursor: null };
+			do {
+				page = await provider.page(query, { cursor: page.cursor, filters });
+				out.push(...page.candidates);
+			} while (page.cursor && page.candidates.length > 0 && out.length < limit);
+			return out.slice(0, limit);
+		},
+		async close() {
+			tokens.clear();
+		},
+	};
+	return provider;
+}
+
+// ---- DuckDuckGo (Puppeteer, DOM scraping) ----
+
+// One browser, started on the first search (so it costs nothing when it is
+// only a fallback); one page per concurrent search, reused between searches
+function createDuckDuckGoProvider() {
+	let launching = null;
+	const idlePages = [];
+
+	const acquirePage = async () => {
+		if (idlePages.length > 0) return idlePages.pop();
+		if (!launching) {
+			const puppeteer = require('puppeteer');
+			launching = puppeteer.launch({
+				headless: true,
+				args: ['--no-sandbox', '--disable-setuid-sandbox'],
+				defaultViewport: { width: 1366, height: 900 },
+			});
+		}
+		const page = await (await launching).newPage();
+		await page.setUserAgent(USER_AGENT);
+		return page;
+	};
+
+	return {
+		name: 'duckduckgo',
+		async init() {},
+		async search(query, opts = {}) {
+			const page = await acquirePage();
+			try {
+				return await searchPage(page, query, opts);
+			} finally {
+				idlePages.push(page);
+			}
+		},
+		async close() {
+			const browser = launching && (await launching.catch(() => null));
+			if (browser) await browser.close().catch(() => {});
+			launching = null;
+			idlePages.length = 0;
+		},
+	};
+}
+
+async function searchPage(page, query, { limit = 16, filters } = {}) {
+	const searchUrl = ddgSearchUrl(query, filters);
+
+	// The page loads its results from i.js; those carry the original image URLs
+	const watcher = watchImageResults(page);
+	try {
+		await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+
+		// Wait for images to load
+		await delay(2000);
+
+		// Try to accept consent popups
+		const consentSelectors = [
+			'#onetrust-accept-btn-handler',
+			"button[aria-label='Accept all']",
+			"button[aria-label='Accept All']",
+		];
+		for (const sel of consentSelectors) {
+			const el = await page.$(sel).catch(() => null);
+			if (el) {
+				try {
+					await el.click({ delay: 50 });
+					await delay(500);
+					break;
+				} catch {}
+			}
+		}
+
+		// Scroll a bit to trigger lazy loading
+		await autoScroll(page, 1000);
+		await delay(1000);
+
+		const tiles = await collectResultTiles(page, limit);
+		return watcher
+			.resolve(tiles)
+			.slice(0, limit)
+			.map((t) => ({ ...t, provider: 'duckduckgo', searchUrl }));
+	} finally {
+		watcher.stop();
+	}
+}
+
+// Bing thumbnails are served from tse1..tse4 with varying extra parameters;
+// the id parameter identifies the image
+function thumbnailKey(url) {
+	try {
+		const u = new URL(url);
+		const id = u.searchParams.get('id');
+		return id ? `id:${id}` : u.toString();
+	} catch {
+		return url;
+	}
+}
+
+// Collects the JSON results (i.js) a DDG images page loads while it is open:
+//   { image, thumbnail, width, height, url (page), title, source }
+// resolve(tiles) turns result tiles (see collectResultTiles) into candidates
+// with the original image as url and the thumbnail as thumbnailUrl. When the
+// tiles can't be read, the JSON results are used on their own.
+// (also used by duckduckgo-downloader.js)
+function watchImageResults(page) {
+	const byThumbnail = new Map();
+	const onResponse = async (res) => {
+		if (!/duckduckgo\.com\/i\.js\?/.test(res.url())) return;
+		try {
+			const js = await res.json();
+			for (const r of js?.results || []) {
+				if (r?.image && r.thumbnail)
+					byThumbnail.set(thumbnailKey(r.thumbnail), r);
+			}
+		} catch {}
+	};
+	page.on('response', onResponse);
+
+	const fromResult = (r) => ({
+		url: r.image,
+		thumbnailUrl: r.thumbnail,
+		...(r.url ? { pageUrl: r.url } : {}),
+		...(r.title ? { title: r.title } : {}),
+		...(r.width > 0 && r.height > 0
+			? { width: r.width, height: r.height }
+			: {}),
+	});
+
+	return {
+		resolve(tiles) {
+			if (tiles.length === 0) return [...byThumbnail.values()].map(fromResult);
+			return tiles.map((t) => {
+				const r = byThumbnail.get(thumbnailKey(t.url));
+				if (!r || r.image === t.url) return t;
+				// The tile's own details win; the JSON fills the gaps
+				return { ...fromResult(r), ...t, url: r.image, thumbnailUrl: t.url };
+			});
+		},
+		stop() {
+			page.off('response', onResponse);
+		},
+	};
+}
+
+// Image URLs decoded from DDG's proxied thumbnails, with what the result tile
+// shows about the source: { url, pageUrl?, title?, width?, height?, domain? }
+// (also used by duckduckgo-downloader.js)
+async function collectResultTiles(page, limit = 0) {
+	const tiles = await page.evaluate(() => {
+		const out = new Map();
+		const imgs = Array.from(
+			document.querySelectorAll('div.tile--img img, div.js-images img, img')
+		);
+
+		const extractFrom = (raw) => {
+			try {
+				if (!raw) return null;
+				const url = new URL(raw, location.href);
+				// DDG proxy forms
+				if (url.hostname.includes('duckduckgo.com')) {
+					const u = url.searchParams.get('u');
+					if (u) return decodeURIComponent(u);
+					const uddg = url.searchParams.get('uddg');
+					if (uddg) return decodeURIComponent(uddg);
+				}
+				if (url.hostname.includes('external-content.duckduckgo.com')) {
+					const u = url.searchParams.get('u');
+					if (u) return decodeURIComponent(u);
+				}
+			} catch {}
+			return null;
+		};
+
+		const text = (el) => (el ? (el.textContent || '').trim() : '');
+
+		// Source details from the tile around an image: title, "1920 × 1080",
+		// the host page link and its domain
+		const describe = (img, imageUrl) => {
+			const tile =
+				img.closest('.tile--img, .tile, figure, article, li') ||
+				img.parentElement;
+			const info = {};
+			if (!tile) return info;
+
+			for (const a of tile.querySelectorAll('a[href]')) {
+				try {
+					const u = new URL(a.getAttribute('href'), location.href);
+					if (!/^https?:$/.test(u.protocol)) continue;
+					const target = u.hostname.endsWith('duckduckgo.com')
+						? u.searchParams.get('uddg')
+						: u.toString();
+					if (target && target !== imageUrl) {
+						info.pageUrl = target;
+						break;
+					}
+				} catch {}
+			}
+
+			const title =
+				text(tile.querySelector('.tile--img__title')) ||
+				tile.getAttribute('title') ||
+				tile.getAttribute('aria-label') ||
+				img.getAttribute('alt');
+			if (title) info.title = title.trim();
+
+			const dims = (
+				text(tile.querySelector('.tile--img__dimensions')) || text(tile)
+			).match(/(\d{2,5})\s*[×x]\s*(\d{2,5})/);
+			if (dims) {
+				info.width = Number(dims[1]);
+				info.height = Number(dims[2]);
+			}
+
+			let domain = text(tile.querySelector('.tile--img__domain'));
+			if (!domain && info.pageUrl) {
+				try {
+					domain = new URL(info.pageUrl).hostname;
+				} catch {}
+			}
+			if (domain) info.domain = domain.replace(/^www\./, '');
+			return info;
+		};
+
+		for (const img of imgs) {
+			const found = [];
+			const cands = [
+				img.getAttribute('src'),
+				img.getAttribute('data-src'),
+				img.getAttribute('srcset'),
+			];
+			for (const cand of cands) {
+				if (!cand) continue;
+				const parts = cand
+					.split(',')
+					.map((s) => s.trim().split(' ')[0])
+					.filter(Boolean);
+				for (const p of parts) {
+					const or = extractFrom(p);
+					if (or) found.push(or);
+				}
+			}
+			const a = img.closest('a');
+			if (a && a.href) {
+				const or = extractFrom(a.href);
+				if (or) found.push(or);
+			}
+			for (const url of found) {
+				if (!out.has(url)) out.set(url, { url, ...describe(img, url) });
+			}
+		}
+		return Array.from(out.values());
+	});
+
+	return limit > 0 ? tiles.slice(0, limit) : tiles;
+}
+
+async function autoScroll(page, maxPixels = 2000) {
+	try {
+		await page.evaluate(async (max) => {
+			await new Promise((resolve) => {
+				let totalHeight = 0;
+				const distance = 400;
+				const timer = setInterval(() => {
+					const scrollHeight = document.body.scrollHeight;
+					window.scrollBy(0, distance);
+					totalHeight += distance;
+					if (totalHeight >= Math.min(max, scrollHeight - window.innerHeight)) {
+						clearInterval(timer);
+						resolve();
+					}
+				}, 150);
+			});
+		}, maxPixels);
+	} catch {}
+}
+
+// ---- Wikimedia Commons full-text file search ----
+
+function createCommonsProvider(options = {}) {
+	const apiUrl =
+		options.providerUrl || 'https://commons.wikimedia.org/w/api.php';
+
+	return {
+		name: 'commons',
+		async init() {},
+		async search(query, { limit = 16 } = {}) {
+			const params = new URLSearchParams({
+				action: 'query',
+				generator: 'search',
+				gsrsearch: `${query} filetype:bitmap`,
+				gsrnamespace: '6',
+				gsrlimit: String(Math.min(50, limit)),
+				prop: 'imageinfo',
+				iiprop: 'url|size|mime|extmetadata',
+				iiextmetadatafilter: 'Artist|LicenseShortName|LicenseUrl',
+				format: 'json',
+			});
+			const searchUrl = `${apiUrl}?${params}`;
+			const js = await fetchJson(searchUrl);
+			const pages = Object.values(js?.query?.pages || {}).sort(
+				(a, b) => (a.index || 0) - (b.index || 0)
+			);
+
+			const out = [];
+			for (const p of pages) {
+				const ii = Array.isArray(p?.imageinfo) ? p.imageinfo[0] : null;
+				if (!ii || !ii.url) continue;
+				const meta = ii.extmetadata || {};
+				out.push({
+					url: ii.url,
+					provider: 'commons',
+					searchUrl,
+					pageUrl: ii.descriptionurl,
+					title: p.title,
+					width: ii.width,
+					height: ii.height,
+					license: meta.LicenseShortName?.value,
+					licenseUrl: meta.LicenseUrl?.value,
+					author: stripTags(meta.Artist?.value),
+				});
+			}
+			return out.slice(0, limit);
+		},
+		async close() {},
+	};
+}
+
+// ---- Openverse-style JSON image APIs ----
+
+function createOpenverseProvider(options = {}) {
+	const apiUrl = options.providerUrl || 'https://api.openverse.org/v1/images/';
+
+	return {
+		name: 'openverse',
+		async init() {},
+		async search(query, { limit = 16 } = {}) {
+			const u = new URL(apiUrl);
+			u.searchParams.set('q', query);
+			u.searchParams.set('page_size', String(Math.min(50, limit)));
+			const searchUrl = u.toString();
+			const js = await fetchJson(searchUrl);
+			const results = Array.isArray(js?.results) ? js.results : [];
+
+			return results
+				.filter((r) => r && r.url)
+				.slice(0, limit)
+				.map((r) => ({
+					url: r.url,
+					provider: 'openverse',
+					searchUrl,
+					thumbnailUrl: r.thumbnail,
+					pageUrl: r.foreign_landing_url,
+					title: r.title,
+					width: r.width,
+					height: r.height,
+					license: r.license
+						? `${String(r.license).toUpperCase()} ${
+								r.license_version || ''
+						  }`.trim()
+						: undefined,
+					licenseUrl: r.license_url,
+					author: r.creator,
+				}));
+		},
+		async close() {},
+	};
+}
+
+// ---- Local fixture server ----
+// GET <providerUrl>?q=<query>&limit=<n> must return either an array of
+// candidate records or { results: [...] } in the shape described at the top.
+
+function createFixtureProvider(options = {}) {
+	const apiUrl = options.providerUrl || 'http://localhost:8080/search';
+
+	return {
+		name: 'fixture',
+		async init() {},
+		async search(query, { limit = 16 } = {}) {
+			const u = new URL(apiUrl);
+			u.searchParams.set('q', query);
+			u.searchParams.set('limit', String(limit));
+			const searchUrl = u.toString();
+			const js = await fetchJson(searchUrl);
+			const results = Array.isArray(js) ? js : js?.results || [];
+
+			return results
+				.filter((r) => r && r.url)
+				.slice(0, limit)
+				.map((r) => ({ ...r, provider: 'fixture', searchUrl }));
+		},
+		async close() {},
+	};
+}
+
+// ---- Helpers ----
+
+async function fetchJson(url, headers = {}) {
+	const ac = new AbortController();
+	const t = setTimeout(() => ac.abort(), HTTP_TIMEOUT_MS);
+	try {
+		const res = await fetch(url, {
+			headers: {
+				Accept: 'application/json',
+				'User-Agent': USER_AGENT,
+				...headers,
+			},
+			signal: ac.signal,
+		});
+		if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+		return await res.json();
+	} finally {
+		clearTimeout(t);
+	}
+}
+
+async function fetchText(url) {
+	const ac = new AbortController();
+	const t = setTimeout(() => ac.abort(), HTTP_TIMEOUT_MS);
+	try {
+		const res = await fetch(url, {
+			headers: { Accept: 'text/html', 'User-Agent': USER_AGENT },
+			signal: ac.signal,
+		});
+		if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+		return await res.text();
+	} finally {
+		clearTimeout(t);
+	}
+}
+
+function stripTags(html) {
+	if (!html) return undefined;
+	return String(html)
+		.replace(/<[^>]*>/g, '')
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+function delay(ms) {
+	return new Promise((r) => setTimeout(r, ms));
+}
+
+module.exports = {
+	DDG_FILTERS,
+	DEFAULT_PROVIDER,
+	collectResultTiles,
+	createProvider,
+	ddgSearchUrl,
+	normalizeFilters,
+	providerNames,
+	readCategoryFilters,
+	resolveProviderNames,
+	watchImageResults,
+};
@@ -0,0 +1,59 @@
+// node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createProvider } = require('./search-providers');
+
+test('commons searches the server given with providerUrl', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		requests.push(req.url);
+		res.setHeader('Content-Type', 'application/json');
+		res.end(
+			JSON.stringify({
+				query: {
+					pages: {
+						1: {
+							index: 1,
+							title: 'File:Mars.jpg',
+							imageinfo: [{ url: 'http://example.test/Mars.jpg' }],
+						},
+					},
+				},
+			})
+		);
+	});
+	await new Promise((r) => server.listen(0, '127.0.0.1', r));
+	const base = `http://127.0.0.1:${server.address().port}/w/api.php`;
+	try {
+		for (const providerUrl of [base, `commons=${base}`]) {
+			const provider = createProvider('wikimedia', { providerUrl });
+			const results = await provider.search('Mars', { limit: 4 });
+			assert.deepStrictEqual(
+				results.map((r) => r.url),
+				['http://example.test/Mars.jpg']
+			);
+		}
+		assert.strictEqual(requests.length, 2);
+		for (const url of requests) {
+			assert.match(url, /^\/w\/api\.php\?/);
+			assert.match(url, /gsrsearch=Mars/);
+		}
+	} finally {
+		server.close();
+	}
+});
+
+test('a URL for a provider that cannot use one is rejected', () => {
+	assert.throws(
+		() => createProvider('duckduckgo', { providerUrl: 'http://localhost:1/' }),
+		/duckduckgo can't use a provider URL/
+	);
+	assert.throws(
+		() =>
+			createProvider('ddg-json,duckduckgo', {
+				providerUrl: 'ddg-json=http://localhost:1,ddg=http://localhost:2',
+			}),
+		/duckduckgo can't use a provider URL/
+	);
+});
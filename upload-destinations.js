@@ -0,0 +1,389 @@
+// Publishing destinations for cloudinary-uploader.js
+// Every destination has the same shape:
+//   { name, checkpointFile, init(), close(),
+//     targets(file, meta)   remote IDs for a file, current layout first,
+//                           older layouts after (used to find existing copies)
+//     upload(filePath, { file, meta, remoteId?, replace })
+//                           -> { url, remoteId, existing?, etag? }
+//                           without replace an existing object is left alone
+//                           and returned with existing: true and its etag
+//     list(retry)           -> Map(remoteId -> { etag }), etag = MD5 hex;
+//                           retry(fn, label) wraps each listing request
+//     remove(remoteId)
+//     backfill?(remoteId, meta)   update descriptive fields in place }
+// Errors carry http_code (HTTP status) or code (Node error code) so the
+// uploader's retry logic works the same for every destination.
+//
+// Specs: cloudinary | s3[:bucket[/prefix]] | local:<dir>
+//   s3 reads S3_BUCKET, S3_ENDPOINT (e.g. http://localhost:9000 for MinIO),
+//   S3_REGION and the usual AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_FOLDER = 'images-queries';
+
+const DESTINATIONS = {
+	cloudinary: createCloudinaryDestination,
+	s3: createS3Destination,
+	local: createLocalDestination,
+};
+
+function destinationNames() {
+	return Object.keys(DESTINATIONS);
+}
+
+// "cloudinary,local:/mnt/share" -> one destination per entry
+function createDestinations(spec) {
+	const specs = String(spec || 'cloudinary')
+		.split(',')
+		.map((s) => s.trim())
+		.filter(Boolean);
+	if (specs.length === 0) throw new Error('No destination specified');
+
+	return specs.map((s) => {
+		const i = s.indexOf(':');
+		const name = (i === -1 ? s : s.slice(0, i)).toLowerCase();
+		const arg = i === -1 ? '' : s.slice(i + 1);
+		if (!DESTINATIONS[name]) {
+			throw new Error(
+				`Unknown destination "${name}" (available: ${destinationNames().join(
+					', '
+				)})`
+			);
+		}
+		return DESTINATIONS[name](arg);
+	});
+}
+
+function md5File(filePath) {
+	return crypto
+		.createHash('md5')
+		.update(fs.readFileSync(filePath))
+		.digest('hex');
+}
+
+function checkpointName(kind, id) {
+	const slug = id.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+	return path.join(__dirname, `.upload-${kind}-${slug.slice(-60)}.ckpt.json`);
+}
+
+// Descriptive fields from a metadata record (source, licence, author)
+function creditFields(meta) {
+	const out = {};
+	for (const [key, value] of [
+		['source_url', meta?.sourceUrl],
+		['page_url', meta?.pageUrl],
+		['license', meta?.license],
+		['license_url', meta?.licenseUrl],
+		['author', meta?.author],
+	]) {
+		if (value) out[key] = String(value);
+	}
+	return out;
+}
+
+// ---- Cloudinary ----
+// Assets go to images-queries/<category>/<name> with tags (category, query)
+// and context (source URL, licence, author). <name> is the file name without
+// its extension, and keeps the outputSubdir folder of a file in one.
+
+// "norse/Thor_01.jpg" -> "norse/Thor_01"
+const publicName = (file) =>
+	file.slice(0, file.length - path.extname(file).length);
+
+function createCloudinaryDestination() {
+	let cloudinary = null;
+
+	const folderFor = (meta) =>
+		meta?.category ? `${ROOT_FOLDER}/${meta.category}` : ROOT_FOLDER;
+
+	const assetFields = (meta) => {
+		if (!meta) return {};
+		// Cloudinary sends tags as one comma-separated list
+		const tags = [meta.category, meta.query]
+			.filter(Boolean)
+			.map((t) => String(t).replace(/,/g, ' ').trim());
+		return { tags, context: creditFields(meta) };
+	};
+
+	return {
+		name: 'cloudinary',
+		checkpointFile: path.join(__dirname, '.cloudinary-upload.ckpt.json'),
+		async init() {
+			cloudinary = require('cloudinary').v2;
+			cloudinary.config({
+				cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+				api_key: process.env.CLOUDINARY_API_KEY,
+				api_secret: process.env.CLOUDINARY_API_SECRET,
+			});
+		},
+		targets(file, meta) {
+			const base = publicName(file);
+			// Uploads before folder-per-category all went to ROOT_FOLDER
+			return [`${folderFor(meta)}/${base}`, `${ROOT_FOLDER}/${base}`];
+		},
+		async upload(filePath, { file, meta, remoteId, replace }) {
+			const result = await cloudinary.uploader.upload(filePath, {
+				...(remoteId
+					? { public_id: remoteId }
+					: {
+							public_id: publicName(file),
+							folder: folderFor(meta),
+					  }),
+				overwrite: !!replace,
+				invalidate: !!replace,
+				resource_type: 'image',
+				...assetFields(meta),
+			});
+			// overwrite: false returns the asset already stored under the public ID
+			return {
+				url: result.secure_url,
+				remoteId: result.public_id,
+				existing: !!result.existing,
+				etag: result.etag,
+			};
+		},
+		// Responses of each page carry the Admin API rate-limit fields, so the
+		// caller's retry wrapper is used for every request
+		async list(retry) {
+			const remote = new Map();
+			let nextCursor;
+			do {
+				const page = await retry(
+					() =>
+						cloudinary.api.resources({
+							type: 'upload',
+							resource_type: 'image',
+							prefix: `${ROOT_FOLDER}/`,
+							max_results: 500,
+							next_cursor: nextCursor,
+						}),
+					'list resources'
+				);
+				for (const r of page.resources) {
+					remote.set(r.public_id, { etag: r.etag });
+				}
+				nextCursor = page.next_cursor;
+			} while (nextCursor);
+			return remote;
+		},
+		async remove(remoteId) {
+			await cloudinary.uploader.destroy(remoteId, {
+				resource_type: 'image',
+				invalidate: true,
+			});
+		},
+		async backfill(remoteId, meta) {
+			await cloudinary.uploader.explicit(remoteId, {
+				type: 'upload',
+				resource_type: 'image',
+				...assetFields(meta),
+			});
+		},
+		async close() {},
+	};
+}
+
+// ---- S3-compatible object storage ----
+// Objects go to <prefix><category>/<file>; credits are stored as x-amz-meta-*.
+
+function createS3Destination(arg) {
+	const [bucket, ...rest] = (arg || process.env.S3_BUCKET || '').split('/');
+	const prefix = rest.length
+		? `${rest.join('/').replace(/\/$/, '')}/`
+		: `${ROOT_FOLDER}/`;
+	const endpoint = process.env.S3_ENDPOINT;
+	let s3 = null;
+	let client = null;
+
+	// SDK errors -> http_code for the retry logic
+	const call = async (command) => {
+		try {
+			return await client.send(command);
+		} catch (err) {
+			err.http_code = err.$metadata?.httpStatusCode;
+			throw err;
+		}
+	};
+
+	const head = async (key) => {
+		try {
+			return await call(new s3.HeadObjectCommand({ Bucket: bucket, Key: key }));
+		} catch (err) {
+			if (err.http_code === 404) return null;
+			throw err;
+		}
+	};
+
+	const urlFor = (key) =>
+		endpoint
+			? `${endpoint.replace(/\/$/, '')}/${bucket}/${key}`
+			: `s3://${bucket}/${key}`;
+
+	return {
+		name: `s3:${bucket}/${prefix}`,
+		checkpointFile: checkpointName('s3', `${bucket}/${prefix}`),
+		async init() {
+			if (!bucket) {
+				throw new Error(
+					's3 destination needs a bucket (s3:<bucket> or S3_BUCKET)'
+				);
+			}
+			try {
+				s3 = require('@aws-sdk/client-s3');
+			} catch {
+				throw new Error(
+					'The s3 destination needs the AWS SDK: npm install @aws-sdk/client-s3'
+				);
+			}
+			client = new s3.S3Client({
+				region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+				...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+			});
+		},
+		targets(file, meta) {
+			return [`${prefix}${meta?.category ? `${meta.category}/` : ''}${file}`];
+		},
+		async upload(filePath, { file, meta, remoteId, replace }) {
+			const key = remoteId || this.targets(file, meta)[0];
+			if (!replace) {
+				const existing = await head(key);
+				if (existing) {
+					return {
+						url: urlFor(key),
+						remoteId: key,
+						existing: true,
+						etag: String(existing.ETag || '').replace(/"/g, ''),
+					};
+				}
+			}
+			// Header values must be ASCII
+			const Metadata = {};
+			for (const [k, v] of Object.entries({
+				category: meta?.category,
+				query: meta?.query,
+				...creditFields(meta),
+			})) {
+				if (v) Metadata[k.replace(/_/g, '-')] = encodeURIComponent(v);
+			}
+			await call(
+				new s3.PutObjectCommand({
+					Bucket: bucket,
+					Key: key,
+					Body: fs.readFileSync(filePath),
+					ContentType: contentType(file),
+					Metadata,
+				})
+			);
+			return { url: urlFor(key), remoteId: key };
+		},
+		async list(retry) {
+			const remote = new Map();
+			let token;
+			do {
+				const page = await retry(
+					() =>
+						call(
+							new s3.ListObjectsV2Command({
+								Bucket: bucket,
+								Prefix: prefix,
+								ContinuationToken: token,
+							})
+						),
+					'list objects'
+				);
+				for (const o of page.Contents || []) {
+					remote.set(o.Key, { etag: String(o.ETag || '').replace(/"/g, '') });
+				}
+				token = page.IsTruncated ? page.NextContinuationToken : undefined;
+			} while (token);
+			return remote;
+		},
+		async remove(remoteId) {
+			await call(new s3.DeleteObjectCommand({ Bucket: bucket, Key: remoteId }));
+		},
+		async close() {
+			if (client) client.destroy();
+		},
+	};
+}
+
+function contentType(file) {
+	const ext = path.extname(file).toLowerCase();
+	return (
+		{
+			'.jpg': 'image/jpeg',
+			'.jpeg': 'image/jpeg',
+			'.png': 'image/png',
+			'.gif': 'image/gif',
+			'.webp': 'image/webp',
+			'.avif': 'image/avif',
+		}[ext] || 'application/octet-stream'
+	);
+}
+
+// ---- Local or network directory ----
+// Files are copied to <dir>/<category>/<file> (via .part + rename); <file>
+// keeps the outputSubdir folder of a file in one.
+
+function createLocalDestination(arg) {
+	const dir = arg ? path.resolve(arg) : '';
+
+	return {
+		name: `local:${dir}`,
+		checkpointFile: checkpointName('local', dir),
+		async init() {
+			if (!dir)
+				throw new Error('local destination needs a directory (local:<dir>)');
+			fs.mkdirSync(dir, { recursive: true });
+		},
+		targets(file, meta) {
+			return [meta?.category ? `${meta.category}/${file}` : file];
+		},
+		async upload(filePath, { file, meta, remoteId, replace }) {
+			const rel = remoteId || this.targets(file, meta)[0];
+			const dest = path.join(dir, rel);
+			if (!replace && fs.existsSync(dest)) {
+				return {
+					url: dest,
+					remoteId: rel,
+					existing: true,
+					etag: md5File(dest),
+				};
+			}
+			fs.mkdirSync(path.dirname(dest), { recursive: true });
+			fs.copyFileSync(filePath, `${dest}.part`);
+			fs.renameSync(`${dest}.part`, dest);
+			return { url: dest, remoteId: rel };
+		},
+		async list() {
+			const remote = new Map();
+			const walk = (sub) => {
+				for (const d of fs.readdirSync(path.join(dir, sub), {
+					withFileTypes: true,
+				})) {
+					const rel = sub ? `${sub}/${d.name}` : d.name;
+					if (d.isDirectory()) walk(rel);
+					else if (d.isFile() && !d.name.endsWith('.part')) {
+						remote.set(rel, { etag: md5File(path.join(dir, rel)) });
+					}
+				}
+			};
+			walk('');
+			return remote;
+		},
+		async remove(remoteId) {
+			fs.unlinkSync(path.join(dir, remoteId));
+		},
+		async close() {},
+	};
+}
+
+module.exports = {
+	ROOT_FOLDER,
+	createDestinations,
+	destinationNames,
+	md5File,
+};
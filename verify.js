@@ -0,0 +1,296 @@
+// Reconcile metadata, indexes and upload records with the files on disk
+// Reports:
+// - orphan files in images-queries/ and images-commons/ that nothing refers to
+// - metadata entries (image-metadata, commons-metadata.ndjson) with no file
+// - sha256 mismatches between .commons-hash-index.ndjson and the files
+// - .phash-index.ndjson entries for files that are gone
+// - Cloudinary upload records for files that are no longer in images-queries/
+// --fix repairs .commons-hash-index.ndjson and .phash-index.ndjson: entries
+// for files that still exist (also where file-mover.js moved them) are kept,
+// wrong hashes corrected, entries for missing files dropped and files without
+// an entry added. Metadata and upload records are only reported, never edited.
+//
+// Usage: node verify.js [--fix] [--limit 20]
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { listSavedImages } = require('./image-saver');
+const { readMetadata, writeFileAtomic } = require('./metadata-store');
+const {
+	DEFAULT_INDEX_FILE: PHASH_INDEX_FILE,
+	dHash,
+} = require('./perceptual-hash');
+
+const QUERIES_DIR = path.join(__dirname, 'images-queries');
+const COMMONS_DIR = path.join(__dirname, 'images-commons');
+const COMMONS_NDJSON_FILE = path.join(__dirname, 'commons-metadata.ndjson');
+const HASH_INDEX_FILE = path.join(__dirname, '.commons-hash-index.ndjson');
+const UPLOAD_CHECKPOINT_FILE = path.join(
+	__dirname,
+	'.cloudinary-upload.ckpt.json'
+);
+
+function parseArgs() {
+	const args = process.argv.slice(2);
+	const options = {};
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === '--fix') {
+			options.fix = true;
+		} else if (args[i] === '--limit' && args[i + 1]) {
+			options.limit = Number(args[i + 1]);
+			i++;
+		}
+	}
+
+	return options;
+}
+
+// Index files store paths relative to the project directory
+function rel(p) {
+	return path.relative(__dirname, path.resolve(__dirname, p));
+}
+
+function readNdjson(file) {
+	if (!fs.existsSync(file)) return [];
+	const out = [];
+	for (const line of fs.readFileSync(file, 'utf-8').split(/\r?\n/)) {
+		if (!line.trim()) continue;
+		try {
+			out.push(JSON.parse(line));
+		} catch {}
+	}
+	return out;
+}
+
+// Image files in dir and its subfolders (not derivatives), as project-relative
+// paths
+function listImages(dir) {
+	return listSavedImages(dir).map((p) => rel(path.join(dir, p)));
+}
+
+function sha256File(file) {
+	return new Promise((resolve, reject) => {
+		const hash = crypto.createHash('sha256');
+		fs.createReadStream(file)
+			.on('data', (chunk) => hash.update(chunk))
+			.on('end', () => resolve(hash.digest('hex')))
+			.on('error', reject);
+	});
+}
+
+async function main() {
+	const options = parseArgs();
+	const limit = options.limit > 0 ? options.limit : 20;
+	const exists = (p) => fs.existsSync(path.resolve(__dirname, p));
+
+	const queryFiles = listImages(QUERIES_DIR);
+	const commonsFiles = listImages(COMMONS_DIR);
+	console.log(
+		`Found ${queryFiles.length} file(s) in ${rel(QUERIES_DIR)}, ${
+			commonsFiles.length
+		} in ${rel(COMMONS_DIR)}`
+	);
+
+	// query-downloader metadata and derivatives
+	const metadata = readMetadata();
+	// file-mover.js records where it moved a file in m.path
+	const queryPath = (m) =>
+		m.path ? rel(m.path) : rel(path.join(QUERIES_DIR, m.filename));
+	const knownQueryFiles = new Set(metadata.map(queryPath));
+	const missingQueryFiles = [];
+	for (const m of metadata) {
+		if (!exists(queryPath(m))) missingQueryFiles.push(queryPath(m));
+		// derivatives are stored relative to their image's folder
+		for (const d of Object.values(m.derivatives || {})) {
+			const p = rel(path.join(path.dirname(queryPath(m)), d));
+			if (!exists(p)) missingQueryFiles.push(p);
+		}
+	}
+
+	// commons-downloader metadata and hash index
+	const commonsMetadata = readNdjson(COMMONS_NDJSON_FILE).filter((r) => r.path);
+	const hashIndex = readNdjson(HASH_INDEX_FILE).filter(
+		(r) => r.sha256 && r.path
+	);
+	const knownCommonsFiles = new Set([
+		...commonsMetadata.map((r) => rel(r.path)),
+		...hashIndex.map((r) => rel(r.path)),
+	]);
+	const missingCommonsFiles = [
+		...new Set(
+			commonsMetadata.map((r) => rel(r.path)).filter((p) => !exists(p))
+		),
+	];
+	const staleHashEntries = hashIndex.filter((r) => !exists(r.path));
+
+	const hashMismatches = [];
+	const actualHashes = new Map();
+	for (const r of hashIndex) {
+		if (!exists(r.path)) continue;
+		const actual = await sha256File(path.resolve(__dirname, r.path));
+		actualHashes.set(rel(r.path), actual);
+		if (actual !== r.sha256) {
+			hashMismatches.push(`${rel(r.path)} (index ${r.sha256}, file ${actual})`);
+		}
+	}
+
+	const orphans = [
+		...queryFiles.filter((p) => !knownQueryFiles.has(p)),
+		...commonsFiles.filter((p) => !knownCommonsFiles.has(p)),
+	];
+
+	// perceptual-hash index
+	const phashIndex = readNdjson(PHASH_INDEX_FILE).filter((r) => r.path);
+	const stalePhashEntries = phashIndex.filter((r) => !exists(r.path));
+
+	// Cloudinary upload records (file names in images-queries/)
+	let uploaded = [];
+	if (fs.existsSync(UPLOAD_CHECKPOINT_FILE)) {
+		uploaded =
+			JSON.parse(fs.readFileSync(UPLOAD_CHECKPOINT_FILE, 'utf-8')).uploaded ||
+			[];
+	}
+	const uploadsWithoutFile = uploaded.filter(
+		(f) => !exists(path.join(QUERIES_DIR, f))
+	);
+
+	const sections = [
+		['Orphan files (no metadata or index entry)', orphans],
+		['Metadata entries with no file (query)', missingQueryFiles],
+		['Metadata entries with no file (commons)', missingCommonsFiles],
+		[
+			`Hash index entries with no file (${rel(HASH_INDEX_FILE)})`,
+			staleHashEntries.map((r) => rel(r.path)),
+		],
+		['Hash mismatches', hashMismatches],
+		[
+			`Perceptual-hash entries with no file (${rel(PHASH_INDEX_FILE)})`,
+			stalePhashEntries.map((r) => rel(r.path)),
+		],
+		['Upload records for missing files', uploadsWithoutFile],
+	];
+
+	let problems = 0;
+	for (const [title, items] of sections) {
+		console.log(`\n${title}: ${items.length}`);
+		for (const item of items.slice(0, limit)) console.log(`  - ${item}`);
+		if (items.length > limit) {
+			console.log(`  ... and ${items.length - limit} more (--limit)`);
+		}
+		problems += items.length;
+	}
+
+	if (!options.fix) {
+		console.log(
+			`\n${problems} problem(s) found${
+				problems ? '; --fix repairs the hash indexes' : ''
+			}`
+		);
+		if (problems) process.exitCode = 1;
+		return;
+	}
+
+	// Repair both indexes: keep what still points at a file, add the rest
+	console.log('\nRepairing indexes...');
+	const hashEntries = new Map();
+	for (const r of hashIndex) {
+		const p = rel(r.path);
+		if (!exists(p) || hashEntries.has(p)) continue;
+		hashEntries.set(p, {
+			...r,
+			sha256: actualHashes.get(p),
+			bytes: fs.statSync(path.resolve(__dirname, p)).size,
+		});
+	}
+	// Commons files: the download folder and wherever their metadata says
+	const commonsPaths = new Set([
+		...commonsFiles,
+		...commonsMetadata.map((r) => rel(r.path)).filter(exists),
+	]);
+	let hashesAdded = 0;
+	for (const p of commonsPaths) {
+		if (hashEntries.has(p)) continue;
+		const abs = path.resolve(__dirname, p);
+		hashEntries.set(p, {
+			sha256: await sha256File(abs),
+			path: p,
+			bytes: fs.statSync(abs).size,
+		});
+		hashesAdded++;
+	}
+	writeFileAtomic(
+		HASH_INDEX_FILE,
+		[...hashEntries.values()].map((r) => JSON.stringify(r) + '\n').join('')
+	);
+	console.log(
+		`Wrote ${hashEntries.size} entries to ${rel(
+			HASH_INDEX_FILE
+		)} (${hashesAdded} added, ${
+			hashIndex.length - hashEntries.size + hashesAdded
+		} dropped or merged)`
+	);
+
+	const byPath = new Map(metadata.map((m) => [queryPath(m), m]));
+	const phashEntries = new Map();
+	for (const r of phashIndex) {
+		const p = rel(r.path);
+		if (exists(p) && !phashEntries.has(p)) phashEntries.set(p, r);
+	}
+	let phashesAdded = 0;
+	for (const p of new Set([
+		...queryFiles,
+		...[...byPath.keys()].filter(exists),
+		...commonsPaths,
+	])) {
+		if (phashEntries.has(p)) continue;
+		let phash;
+		try {
+			phash = await dHash(path.resolve(__dirname, p));
+		} catch (e) {
+			console.warn(`  Could not hash ${p}: ${e.message}`);
+			continue;
+		}
+		const m = byPath.get(p);
+		phashEntries.set(
+			p,
+			m
+				? { phash, path: p, query: m.query, category: m.category }
+				: { phash, path: p }
+		);
+		phashesAdded++;
+	}
+	writeFileAtomic(
+		PHASH_INDEX_FILE,
+		[...phashEntries.values()].map((r) => JSON.stringify(r) + '\n').join('')
+	);
+	console.log(
+		`Wrote ${phashEntries.size} entries to ${rel(
+			PHASH_INDEX_FILE
+		)} (${phashesAdded} added, ${
+			phashIndex.length - phashEntries.size + phashesAdded
+		} dropped or merged)`
+	);
+
+	const remaining =
+		orphans.filter((p) => !p.startsWith(rel(COMMONS_DIR) + path.sep)).length +
+		missingQueryFiles.length +
+		missingCommonsFiles.length +
+		uploadsWithoutFile.length;
+	if (remaining) {
+		console.log(
+			`${remaining} problem(s) left that --fix does not change (metadata and upload records)`
+		);
+		process.exitCode = 1;
+	}
+}
+
+if (require.main === module) {
+	main().catch((err) => {
+		console.error('Error:', err.stack || err);
+		process.exitCode = 1;
+	});
+}
+
+module.exports = { main };
@@ -0,0 +1,66 @@
+// node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A copy of the scripts in a temp folder, so a run only touches its files
+const tmpProject = () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-'));
+	for (const f of fs.readdirSync(__dirname)) {
+		if (f.endsWith('.js') && !f.endsWith('.test.js')) {
+			fs.copyFileSync(path.join(__dirname, f), path.join(dir, f));
+		}
+	}
+	fs.symlinkSync(
+		path.join(__dirname, 'node_modules'),
+		path.join(dir, 'node_modules'),
+		'dir'
+	);
+	return dir;
+};
+
+const write = (file, data) => {
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, data);
+};
+
+test('checks files in outputSubdir folders', () => {
+	const dir = tmpProject();
+	write(path.join(dir, 'images-queries/Mars_01.jpg'), 'image');
+	write(path.join(dir, 'images-queries/norse/Thor_01.jpg'), 'image');
+	write(
+		path.join(dir, 'images-queries/norse/derivatives/thumb/Thor_01.jpg'),
+		'thumb'
+	);
+	write(path.join(dir, 'images-queries/norse/Loki_01.jpg'), 'image');
+	write(
+		path.join(dir, 'image-metadata.ndjson'),
+		[
+			{ filename: 'Mars_01.jpg', query: 'Mars' },
+			{
+				filename: 'Thor_01.jpg',
+				path: 'images-queries/norse/Thor_01.jpg',
+				query: 'Thor',
+				derivatives: { thumb: 'derivatives/thumb/Thor_01.jpg' },
+			},
+		]
+			.map((r) => JSON.stringify(r) + '\n')
+			.join('')
+	);
+
+	// exits with 1 when it finds problems
+	const { status, stdout } = spawnSync(process.execPath, ['verify.js'], {
+		cwd: dir,
+		encoding: 'utf-8',
+	});
+
+	assert.strictEqual(status, 1);
+	assert.match(
+		stdout,
+		/Orphan files \(no metadata or index entry\): 1\n {2}- images-queries.norse.Loki_01\.jpg\n/
+	);
+	assert.match(stdout, /Metadata entries with no file \(query\): 0\n/);
+});